@@ -0,0 +1,424 @@
+const CatalogEditor = (() => { // Estado do editor: a lista de produtos em edição, na ordem em que vão para o product.json.
+    let products = [];
+    let dirty = false;
+    const listeners = [];
+
+    // Avisa os listeners (lista, prévia e exportação) a cada alteração.
+    function emit() {
+        listeners.forEach(listener => listener(getProducts()));
+    }
+
+    // Registra um listener chamado com a lista atual a cada alteração.
+    function subscribe(listener) {
+        listeners.push(listener);
+    }
+
+    // Começa a edição com os produtos carregados do product.json.
+    function load(loaded) {
+        products = loaded;
+        dirty = false;
+        emit();
+    }
+
+    // Cópia da lista atual.
+    function getProducts() {
+        return products.map(product => ({ ...product }));
+    }
+
+    // Produto na posição `index`.
+    function getProduct(index) {
+        return products[index] ? { ...products[index] } : null;
+    }
+
+    // Próximo id livre (maior id + 1).
+    function nextId() {
+        return products.reduce((max, product) => (Number.isInteger(product.id) && product.id > max ? product.id : max), 0) + 1;
+    }
+
+    // Grava um produto: na posição `index` se ela existir, senão no fim da lista.
+    function save(product, index) {
+        if (products[index]) {
+            products[index] = product;
+        } else {
+            products.push(product);
+        }
+        dirty = true;
+        emit();
+    }
+
+    // Move um produto uma posição para cima (-1) ou para baixo (+1).
+    function move(index, direction) {
+        const target = index + direction;
+        if (!products[index] || !products[target]) return;
+
+        [products[index], products[target]] = [products[target], products[index]];
+        dirty = true;
+        emit();
+    }
+
+    // Exclui um produto.
+    function remove(index) {
+        if (!products[index]) return;
+
+        products.splice(index, 1);
+        dirty = true;
+        emit();
+    }
+
+    // Houve alterações desde que o catálogo foi carregado?
+    function isDirty() {
+        return dirty;
+    }
+
+    return { // Retorna as funções.
+        subscribe,
+        load,
+        getProducts,
+        getProduct,
+        nextId,
+        save,
+        move,
+        remove,
+        isDirty
+    };
+})();
+
+
+const AdminForm = (() => { // Formulário de um produto: lê, preenche e mostra os erros de validação ao lado de cada campo.
+    const MAX_UPLOAD_SIZE = 500 * 1024;
+    const ERROR_FIELDS = ['id', 'name', 'price', 'image', 'description', 'stock', 'maxPerOrder'];
+
+    // Elementos DOM privados
+    const elements = {
+        form: document.querySelector('.adminForm'),
+        title: document.querySelector('.adminFormTitle'),
+        id: document.getElementById('produtoId'),
+        name: document.getElementById('produtoNome'),
+        price: document.getElementById('produtoPreco'),
+        image: document.getElementById('produtoImagem'),
+        upload: document.getElementById('produtoUpload'),
+        imagePreview: document.querySelector('.adminImagePreview'),
+        description: document.getElementById('produtoDescricao'),
+        stock: document.getElementById('produtoEstoque'),
+        maxPerOrder: document.getElementById('produtoLimite'),
+        nameEn: document.getElementById('produtoNomeEn'),
+        descriptionEn: document.getElementById('produtoDescricaoEn')
+    };
+
+    let imageOptions = [];
+    let original = null;
+
+    // Só textos não vazios viram opção: produtos sem imagem (ou com outro tipo de valor) abrem no editor para serem corrigidos.
+    function isImage(image) {
+        return typeof image === 'string' && image !== '';
+    }
+
+    // Lista de imagens do seletor: as da pasta images e as usadas pelos produtos (inclusive enviadas), sem repetir.
+    function setImageOptions(images) {
+        imageOptions = [...new Set(images.filter(isImage))];
+    }
+
+    // Redesenha as opções do seletor de imagem, mantendo a imagem escolhida.
+    function renderImageOptions(image) {
+        const selected = isImage(image) ? image : '';
+        const options = selected && !imageOptions.includes(selected) ? [...imageOptions, selected] : imageOptions;
+        Html.render(elements.image, options.map(image => Html.template`
+            <option value="${image}"${image === selected && Html.raw(' selected')}>${image.startsWith('data:') ? I18n.t('admin.uploadedImage') : image}</option>`));
+        showImagePreview();
+    }
+
+    // Mostra a imagem escolhida ao lado do seletor.
+    function showImagePreview() {
+        elements.imagePreview.src = Html.url(elements.image.value);
+        elements.imagePreview.hidden = !elements.image.value;
+    }
+
+    // Converte o campo de texto em número. Vazio vira undefined (campo opcional); aceita vírgula decimal.
+    function parseNumber(value) {
+        const text = value.trim().replace(',', '.');
+        return text === '' ? undefined : Number(text);
+    }
+
+    // Abre o formulário com um produto (ou vazio, para um produto novo com o próximo id).
+    function open(product, title) {
+        original = product || {};
+        elements.title.textContent = title;
+        elements.id.value = original.id ?? '';
+        elements.name.value = original.name || '';
+        elements.price.value = original.price === undefined ? '' : String(original.price).replace('.', ',');
+        elements.description.value = original.description || '';
+        elements.stock.value = original.stock ?? '';
+        elements.maxPerOrder.value = original.maxPerOrder ?? '';
+
+        const english = (original.translations || {}).en || {};
+        elements.nameEn.value = english.name || '';
+        elements.descriptionEn.value = english.description || '';
+
+        elements.upload.value = '';
+        renderImageOptions(original.image || imageOptions[0]);
+        showErrors({});
+        elements.form.hidden = false;
+        elements.name.focus();
+    }
+
+    // Fecha o formulário.
+    function close() {
+        elements.form.hidden = true;
+        original = null;
+    }
+
+    // Monta o produto a partir dos campos. Campos que o formulário não edita (como `images`) são mantidos.
+    function getProduct() {
+        const translations = { ...(original.translations || {}) };
+        const english = {
+            ...(translations.en || {}),
+            name: elements.nameEn.value.trim() || undefined,
+            description: elements.descriptionEn.value.trim() || undefined
+        };
+        delete translations.en;
+        if (english.name || english.description) {
+            translations.en = CatalogSchema.normalizeProduct(english);
+        }
+
+        return {
+            ...original,
+            id: parseNumber(elements.id.value),
+            name: elements.name.value.trim(),
+            price: parseNumber(elements.price.value),
+            image: elements.image.value,
+            description: elements.description.value.trim() || undefined,
+            stock: parseNumber(elements.stock.value),
+            maxPerOrder: parseNumber(elements.maxPerOrder.value),
+            translations
+        };
+    }
+
+    // Exibe (ou limpa) as mensagens de erro dos campos.
+    function showErrors(errors) {
+        ERROR_FIELDS.forEach(field => {
+            elements.form.querySelector(`[data-error-for="${field}"]`).textContent = errors[field] || '';
+        });
+    }
+
+    // Lê a imagem enviada como data URL. Recusa arquivos grandes, que deixariam o product.json pesado.
+    function readUpload() {
+        const file = elements.upload.files[0];
+        if (!file) return;
+
+        if (file.size > MAX_UPLOAD_SIZE) {
+            showErrors({ image: I18n.t('admin.imageTooLarge', { size: Math.round(MAX_UPLOAD_SIZE / 1024) }) });
+            elements.upload.value = '';
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.addEventListener('load', () => {
+            renderImageOptions(reader.result);
+        });
+        reader.readAsDataURL(file);
+    }
+
+    // Liga o seletor e o envio de imagem.
+    function init() {
+        elements.image.addEventListener('change', showImagePreview);
+        elements.upload.addEventListener('change', readUpload);
+    }
+
+    return { // Retorna as funções.
+        init,
+        setImageOptions,
+        open,
+        close,
+        getProduct,
+        showErrors,
+        isOpen: () => !elements.form.hidden
+    };
+})();
+
+
+const AdminUI = (() => { // Lista de produtos, problemas do catálogo, JSON exportado e prévia da loja.
+    const html = Html.template;
+
+    // Elementos DOM privados
+    const elements = {
+        list: document.querySelector('.adminList'),
+        issues: document.querySelector('.adminIssues'),
+        output: document.querySelector('.adminOutput'),
+        download: document.querySelector('.adminDownload')
+    };
+
+    // Lista de produtos com os botões de reordenar, editar e excluir.
+    function renderList(products) {
+        if (products.length === 0) {
+            Html.render(elements.list, html`<p class="empty">${I18n.t('admin.empty')}</p>`);
+            return;
+        }
+
+        Html.render(elements.list, products.map((product, index) => html`
+            <div class="adminItem">
+                <img src="${Html.url(product.image)}" alt="">
+                <div class="adminItemInfo">
+                    <strong>#${product.id} ${product.name}</strong>
+                    <span>${Number.isFinite(product.price) ? Money.format(Money.toCents(product.price)) : '—'}</span>
+                </div>
+                <div class="adminItemButtons">
+                    <button type="button" data-index="${index}" data-action="up" aria-label="${I18n.t('admin.moveUp', { name: product.name })}"${index === 0 && Html.raw(' disabled')}>&uarr;</button>
+                    <button type="button" data-index="${index}" data-action="down" aria-label="${I18n.t('admin.moveDown', { name: product.name })}"${index === products.length - 1 && Html.raw(' disabled')}>&darr;</button>
+                    <button type="button" data-index="${index}" data-action="edit">${I18n.t('admin.edit')}</button>
+                    <button type="button" data-index="${index}" data-action="delete">${I18n.t('admin.delete')}</button>
+                </div>
+            </div>`));
+    }
+
+    // Problemas que impedem a exportação. Sem problemas, mostra o JSON pronto.
+    function renderExport(products) {
+        const issues = CatalogSchema.validateCatalog(products);
+        if (issues.length === 0) {
+            Html.render(elements.issues, html`<li class="ok">${I18n.t('admin.valid')}</li>`);
+        } else {
+            Html.render(elements.issues, issues.map(issue => html`
+                <li>${I18n.t('admin.issue', { position: issue.index + 1, id: issue.id ?? '?' })} ${issue.message}</li>`));
+        }
+        elements.output.value = issues.length === 0 ? CatalogSchema.serialize(products) : '';
+        elements.download.disabled = issues.length > 0;
+    }
+
+    // Prévia: os mesmos cards da loja, desenhados pelo ProductUI, no idioma atual.
+    function renderPreview(products) {
+        ProductUI.render(products.map(I18n.localize), { preserve: true });
+    }
+
+    // Redesenha tudo.
+    function render(products) {
+        renderList(products);
+        renderExport(products);
+        renderPreview(products);
+    }
+
+    return { // Retorna as funções.
+        render
+    };
+})();
+
+
+const AdminController = (() => { // Carrega o catálogo e as imagens, e liga os botões do editor.
+    let editingIndex = -1;
+
+    // Imagens da pasta images, listadas em images/images.json (o navegador não consegue listar uma pasta).
+    async function loadImages() {
+        try {
+            const response = await fetch('images/images.json');
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading images list:', error);
+            return [];
+        }
+    }
+
+    // Abre o formulário para um produto novo.
+    function newProduct() {
+        editingIndex = -1;
+        AdminForm.open({ id: CatalogEditor.nextId() }, I18n.t('admin.newTitle'));
+    }
+
+    // Abre o formulário com um produto da lista.
+    function editProduct(index) {
+        editingIndex = index;
+        AdminForm.open(CatalogEditor.getProduct(index), I18n.t('admin.editTitle'));
+    }
+
+    // Valida e grava o produto do formulário.
+    function saveProduct(e) {
+        e.preventDefault();
+        const product = AdminForm.getProduct();
+        const errors = CatalogSchema.validateProduct(product, CatalogEditor.getProducts(), editingIndex);
+        AdminForm.showErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+
+        CatalogEditor.save(CatalogSchema.normalizeProduct(product), editingIndex);
+        AdminForm.close();
+    }
+
+    // Exclui um produto depois de confirmar.
+    function deleteProduct(index) {
+        const product = CatalogEditor.getProduct(index);
+        if (!window.confirm(I18n.t('admin.confirmDelete', { name: product.name }))) return;
+
+        CatalogEditor.remove(index);
+        if (editingIndex === index) {
+            AdminForm.close();
+        }
+    }
+
+    // Botões de cada produto da lista.
+    function handleListClick(e) {
+        if (e.target.tagName !== 'BUTTON') return;
+
+        const index = Number(e.target.getAttribute('data-index'));
+        const action = e.target.getAttribute('data-action');
+        if (action === 'up' || action === 'down') {
+            CatalogEditor.move(index, action === 'up' ? -1 : 1);
+            AdminForm.close();
+        } else if (action === 'edit') {
+            editProduct(index);
+        } else if (action === 'delete') {
+            deleteProduct(index);
+        }
+    }
+
+    // Baixa o product.json gerado.
+    function download() {
+        const blob = new Blob([CatalogSchema.serialize(CatalogEditor.getProducts())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'product.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Copia o JSON gerado para a área de transferência.
+    async function copy() {
+        const output = document.querySelector('.adminOutput');
+        if (!output.value) return;
+        try {
+            await navigator.clipboard.writeText(output.value);
+            MessageUI.show(I18n.t('admin.copied'));
+        } catch (error) {
+            output.select();
+        }
+    }
+
+    async function init() {
+        I18n.init();
+        I18n.subscribe(() => AdminUI.render(CatalogEditor.getProducts()));
+        AdminForm.init();
+        CatalogEditor.subscribe(AdminUI.render);
+
+        document.querySelector('.adminNew').addEventListener('click', newProduct);
+        document.querySelector('.adminCancel').addEventListener('click', AdminForm.close);
+        document.querySelector('.adminForm').addEventListener('submit', saveProduct);
+        document.querySelector('.adminList').addEventListener('click', handleListClick);
+        document.querySelector('.adminDownload').addEventListener('click', download);
+        document.querySelector('.adminCopy').addEventListener('click', copy);
+        window.addEventListener('beforeunload', (e) => {
+            if (CatalogEditor.isDirty()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+
+        const [images] = await Promise.all([loadImages(), Catalog.load().catch(error => {
+            console.error('Error loading products:', error);
+            MessageUI.show(I18n.t('admin.loadError'));
+        })]);
+        const products = Catalog.getSourceProducts();
+        AdminForm.setImageOptions([...images, ...products.map(product => product.image)]);
+        CatalogEditor.load(products);
+    }
+
+    return { // Retorna as funções.
+        init
+    };
+})();
+
+AdminController.init();
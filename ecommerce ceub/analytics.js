@@ -0,0 +1,139 @@
+const AnalyticsSinks = (() => { // Destinos dos eventos de analytics. Um sink é qualquer objeto com record(event).
+    const STORAGE_KEY = 'analyticsEvents';
+    const MAX_EVENTS = 1000;
+
+    // Guarda os eventos no localStorage (os mais antigos saem depois de MAX_EVENTS). É o sink lido pela página de relatório.
+    const storage = {
+        name: 'storage',
+        record(event) {
+            const events = getEvents();
+            events.push(event);
+            StorageAdapters.localStorage.set(STORAGE_KEY, JSON.stringify(events.slice(-MAX_EVENTS)));
+        }
+    };
+
+    // Campos numéricos de `data` que o relatório lê em cada tipo de evento.
+    const REPORT_FIELDS = {
+        product_view: ['productId'],
+        add_to_cart: ['productId', 'quantity'],
+        order_submit: ['total']
+    };
+    const ORDER_ITEM_FIELDS = ['productId', 'quantity', 'unitPrice'];
+
+    // Eventos guardados pelo sink de armazenamento, do mais antigo para o mais novo.
+    // Eventos antigos ou corrompidos, que o relatório não consegue ler, são descartados com um aviso no console, como no OrderStore.
+    function getEvents() {
+        let events;
+        try {
+            events = JSON.parse(StorageAdapters.localStorage.get(STORAGE_KEY));
+        } catch (error) {
+            return [];
+        }
+        if (!Array.isArray(events)) return [];
+
+        const valid = events.filter(isValidEvent);
+        if (valid.length < events.length) {
+            console.warn(`Analytics: ${events.length - valid.length} invalid event(s) ignored.`);
+        }
+        return valid;
+    }
+
+    // Objeto comum, sem ser array nem null.
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Evento com tipo, `data` e os números que o relatório lê no seu tipo.
+    function isValidEvent(event) {
+        if (!isObject(event) || typeof event.type !== 'string' || !isObject(event.data)) return false;
+        if (!(REPORT_FIELDS[event.type] || []).every(field => Number.isFinite(event.data[field]))) return false;
+        if (event.type !== 'order_submit') return true;
+        return Array.isArray(event.data.items) && event.data.items.every(item =>
+            isObject(item) && ORDER_ITEM_FIELDS.every(field => Number.isFinite(item[field])));
+    }
+
+    // Apaga os eventos guardados.
+    function clearEvents() {
+        StorageAdapters.localStorage.remove(STORAGE_KEY);
+    }
+
+    // Mostra cada evento no console, para depurar a instrumentação.
+    const consoleSink = {
+        name: 'console',
+        record(event) {
+            window.console.debug('[analytics]', event.type, event.data);
+        }
+    };
+
+    return {
+        storage,
+        console: consoleSink,
+        getEvents,
+        clearEvents
+    };
+})();
+
+
+const Analytics = (() => { // Registra o que os clientes fazem na loja (visualizações, carrinho, checkout e pedidos) e envia para os sinks.
+    const SESSION_KEY = 'analyticsSession';
+    const DEBUG_KEY = 'analyticsDebug';
+    const sinks = [];
+
+    // Tipos de evento e os dados de cada um:
+    // - product_view: { productId } — página de detalhe de um produto;
+    // - add_to_cart: { productId, quantity };
+    // - change_quantity: { productId, quantity, previousQuantity } — botões - e + do carrinho e remoções;
+    // - checkout_open: { quantity, subtotal } — página de checkout com o carrinho carregado;
+    // - order_submit: { orderId, total, items: [{ productId, quantity, unitPrice }] }.
+    // Valores em dinheiro vão em centavos.
+
+    // Identificador da sessão (uma por aba), usado para montar o funil.
+    function getSessionId() {
+        let sessionId = sessionStorage.getItem(SESSION_KEY);
+        if (!sessionId) {
+            sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            sessionStorage.setItem(SESSION_KEY, sessionId);
+        }
+        return sessionId;
+    }
+
+    // Registra um sink. Retorna a função que o remove.
+    function addSink(sink) {
+        sinks.push(sink);
+        return () => {
+            const index = sinks.indexOf(sink);
+            if (index !== -1) {
+                sinks.splice(index, 1);
+            }
+        };
+    }
+
+    // Envia um evento para todos os sinks. Erros de um sink nunca atrapalham a loja nem os outros sinks.
+    function track(type, data = {}) {
+        const event = {
+            type,
+            timestamp: new Date().toISOString(),
+            sessionId: getSessionId(),
+            page: window.location.pathname,
+            data
+        };
+        sinks.forEach(sink => {
+            try {
+                sink.record(event);
+            } catch (error) {
+                console.error(`Analytics sink ${sink.name || ''} failed:`, error);
+            }
+        });
+    }
+
+    // Sinks padrão: o armazenamento sempre; o console com localStorage.analyticsDebug = 'true'.
+    addSink(AnalyticsSinks.storage);
+    if (localStorage.getItem(DEBUG_KEY) === 'true') {
+        addSink(AnalyticsSinks.console);
+    }
+
+    return {
+        addSink,
+        track
+    };
+})();
@@ -0,0 +1,186 @@
+const AnalyticsReport = (() => { // Cálculos do relatório a partir dos eventos guardados pelo Analytics.
+    // Etapas do funil, na ordem.
+    const FUNNEL_STEPS = ['product_view', 'add_to_cart', 'checkout_open', 'order_submit'];
+
+    // Funil por sessão: cada sessão conta na etapa mais avançada que alcançou e em todas as anteriores
+    // (quem compra direto da lista, sem abrir o detalhe, também conta como visualização).
+    // Retorna [{ step, sessions, rate }], com `rate` em relação à etapa anterior (0 a 1).
+    function funnel(events) {
+        const deepest = {};
+        events.forEach(event => {
+            const step = FUNNEL_STEPS.indexOf(event.type);
+            if (step !== -1) {
+                deepest[event.sessionId] = Math.max(deepest[event.sessionId] ?? -1, step);
+            }
+        });
+
+        const reached = Object.values(deepest);
+        return FUNNEL_STEPS.map((step, index) => {
+            const sessions = reached.filter(depth => depth >= index).length;
+            const previous = index === 0 ? sessions : reached.filter(depth => depth >= index - 1).length;
+            return { step, sessions, rate: previous > 0 ? sessions / previous : 0 };
+        });
+    }
+
+    // Produtos mais vendidos (depois os mais adicionados e os mais vistos).
+    // Retorna [{ productId, views, addedUnits, orderedUnits, revenue }], com a receita em centavos.
+    function topProducts(events, limit = 5) {
+        const stats = {};
+        const getStats = productId => {
+            stats[productId] = stats[productId] || { productId: Number(productId), views: 0, addedUnits: 0, orderedUnits: 0, revenue: 0 };
+            return stats[productId];
+        };
+
+        events.forEach(event => {
+            if (event.type === 'product_view') {
+                getStats(event.data.productId).views += 1;
+            } else if (event.type === 'add_to_cart') {
+                getStats(event.data.productId).addedUnits += event.data.quantity;
+            } else if (event.type === 'order_submit') {
+                event.data.items.forEach(item => {
+                    const product = getStats(item.productId);
+                    product.orderedUnits += item.quantity;
+                    product.revenue = Money.sum([product.revenue, Money.multiply(item.unitPrice, item.quantity)]);
+                });
+            }
+        });
+
+        return Object.values(stats)
+            .sort((a, b) => b.orderedUnits - a.orderedUnits || b.addedUnits - a.addedUnits || b.views - a.views)
+            .slice(0, limit);
+    }
+
+    // Totais gerais: eventos, sessões, pedidos e receita (em centavos).
+    function summary(events) {
+        const orders = events.filter(event => event.type === 'order_submit');
+        return {
+            events: events.length,
+            sessions: new Set(events.map(event => event.sessionId)).size,
+            orders: orders.length,
+            revenue: Money.sum(orders.map(order => order.data.total))
+        };
+    }
+
+    return { // Retorna as funções.
+        funnel,
+        topProducts,
+        summary
+    };
+})();
+
+
+const ReportUI = (() => { // Desenha o resumo, o funil e os produtos em destaque.
+    const html = Html.template;
+
+    // Elementos DOM privados
+    const elements = {
+        summary: document.querySelector('.reportSummary'),
+        funnel: document.querySelector('.reportFunnel'),
+        products: document.querySelector('.reportProducts')
+    };
+
+    // Percentual formatado no idioma atual.
+    function formatRate(rate) {
+        return rate.toLocaleString(I18n.getLanguage(), { style: 'percent', maximumFractionDigits: 1 });
+    }
+
+    // Nome do produto no catálogo; produtos que saíram dele aparecem pelo id.
+    function getProductName(productId) {
+        const product = Catalog.getProduct(productId);
+        return product ? product.name : `#${productId}`;
+    }
+
+    // Resumo geral.
+    function renderSummary(summary) {
+        Html.render(elements.summary, html`
+            <div><strong>${summary.events}</strong> ${I18n.t('report.events')}</div>
+            <div><strong>${summary.sessions}</strong> ${I18n.t('report.sessions')}</div>
+            <div><strong>${summary.orders}</strong> ${I18n.t('report.orders')}</div>
+            <div><strong>${Money.format(summary.revenue)}</strong> ${I18n.t('report.revenue')}</div>`);
+    }
+
+    // Tabela do funil.
+    function renderFunnel(steps) {
+        Html.render(elements.funnel, html`
+            <tr>
+                <th>${I18n.t('report.step')}</th>
+                <th>${I18n.t('report.sessions')}</th>
+                <th>${I18n.t('report.conversion')}</th>
+            </tr>
+            ${steps.map((step, index) => html`
+                <tr>
+                    <td>${I18n.t(`report.step.${step.step}`)}</td>
+                    <td>${step.sessions}</td>
+                    <td>${index === 0 ? '—' : formatRate(step.rate)}</td>
+                </tr>`)}`);
+    }
+
+    // Tabela dos produtos em destaque.
+    function renderProducts(products) {
+        if (products.length === 0) {
+            Html.render(elements.products, html`<tr><td>${I18n.t('report.noData')}</td></tr>`);
+            return;
+        }
+
+        Html.render(elements.products, html`
+            <tr>
+                <th>${I18n.t('report.product')}</th>
+                <th>${I18n.t('report.views')}</th>
+                <th>${I18n.t('report.addedUnits')}</th>
+                <th>${I18n.t('report.orderedUnits')}</th>
+                <th>${I18n.t('report.revenue')}</th>
+            </tr>
+            ${products.map(product => html`
+                <tr>
+                    <td>${getProductName(product.productId)}</td>
+                    <td>${product.views}</td>
+                    <td>${product.addedUnits}</td>
+                    <td>${product.orderedUnits}</td>
+                    <td>${Money.format(product.revenue)}</td>
+                </tr>`)}`);
+    }
+
+    // Desenha o relatório inteiro a partir dos eventos.
+    function render(events) {
+        renderSummary(AnalyticsReport.summary(events));
+        renderFunnel(AnalyticsReport.funnel(events));
+        renderProducts(AnalyticsReport.topProducts(events));
+    }
+
+    return { // Retorna as funções.
+        render
+    };
+})();
+
+
+const ReportController = (() => { // Carrega o catálogo (para os nomes dos produtos) e mantém o relatório atualizado.
+    // Redesenha com os eventos guardados.
+    function refresh() {
+        ReportUI.render(AnalyticsSinks.getEvents());
+    }
+
+    // Apaga os eventos depois de confirmar.
+    function clearEvents() {
+        if (!window.confirm(I18n.t('report.confirmClear'))) return;
+        AnalyticsSinks.clearEvents();
+        refresh();
+    }
+
+    async function init() {
+        I18n.init();
+        I18n.subscribe(refresh);
+        document.querySelector('.clearEvents').addEventListener('click', clearEvents);
+        try {
+            await Catalog.load();
+        } catch (error) {
+            console.error('Error loading products:', error);
+        }
+        refresh();
+    }
+
+    return { // Retorna as funções.
+        init
+    };
+})();
+
+ReportController.init();
@@ -1,74 +1,233 @@
+const Drawer = (() => { // Painéis laterais acessíveis (carrinho e favoritos): estado aberto/fechado, Escape, foco preso e devolvido.
+    // Elementos que recebem foco com Tab dentro do painel. Os botões dos avisos (como "Desfazer") também entram no ciclo.
+    const FOCUSABLE = 'button:not([disabled]), a[href], input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    // Só um painel fica aberto por vez
+    let current = null;
+
+    // Cria um painel. `panel` é o diálogo, `trigger` o botão que o abre e `openClass` a classe aplicada ao body quando aberto.
+    function create({ panel, trigger, closeButton, openClass }) {
+        const container = document.querySelector('.container');
+        let isOpen = false;
+        let returnFocus = null;
+
+        // Reflete o estado aberto/fechado nas classes e atributos. Com o painel aberto, o resto da página fica inerte.
+        function applyState() {
+            panel.classList.toggle('open', isOpen);
+            document.body.classList.toggle(openClass, isOpen);
+            container.inert = isOpen;
+            trigger.setAttribute('aria-expanded', String(isOpen));
+        }
+
+        // Abre o painel e leva o foco para ele
+        function open() {
+            if (isOpen) return;
+            if (current) {
+                current.close({ restoreFocus: false });
+            }
+            isOpen = true;
+            current = drawer;
+            returnFocus = document.activeElement;
+            applyState();
+            panel.focus();
+        }
+
+        // Fecha o painel e devolve o foco para quem o abriu
+        function close({ restoreFocus = true } = {}) {
+            if (!isOpen) return;
+            isOpen = false;
+            current = null;
+            applyState();
+            const target = returnFocus && document.contains(returnFocus) ? returnFocus : trigger;
+            returnFocus = null;
+            if (restoreFocus) {
+                target.focus();
+            }
+        }
+
+        // Alterna a visibilidade do painel
+        function toggle() {
+            if (isOpen) {
+                close();
+            } else {
+                open();
+            }
+        }
+
+        // Escape fecha o painel e Tab circula só entre os elementos dele
+        function handleKeydown(e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            } else if (e.key === 'Tab') {
+                trapFocus(e);
+            }
+        }
+
+        // Mantém o foco dentro do painel: do último elemento volta ao primeiro e vice-versa
+        function trapFocus(e) {
+            const focusable = [...panel.querySelectorAll(FOCUSABLE), ...document.querySelectorAll('.toasts button')];
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = document.activeElement;
+            if (e.shiftKey && (active === first || active === panel)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        // Depois de redesenhar uma lista, devolve o foco ao botão equivalente (mesmo data-id e data-action).
+        // Se o item saiu ou o botão ficou desabilitado, o foco vai para o painel.
+        function restoreFocus(list, previous) {
+            const match = [...list.querySelectorAll('button:not([disabled])')].find(button =>
+                button.getAttribute('data-id') === previous.getAttribute('data-id') &&
+                button.getAttribute('data-action') === previous.getAttribute('data-action'));
+            (match || panel).focus();
+        }
+
+        trigger.addEventListener('click', toggle);
+        closeButton.addEventListener('click', () => close());
+        document.addEventListener('keydown', (e) => {
+            if (isOpen) {
+                handleKeydown(e);
+            }
+        });
+        applyState();
+
+        const drawer = {
+            open,
+            close,
+            toggle,
+            restoreFocus,
+            isOpen: () => isOpen
+        };
+        return drawer;
+    }
+
+    return {
+        create
+    };
+})();
+
 const CartUI = (() => { // Isso daqui vai fazer a interface do carrinho. Também encapsula toda a lógica de manipulação relacionado ao carrinho.
+    const html = Html.template;
 
     // Elementos DOM privados
     const elements = {
         iconCart: document.querySelector('.iconCart'),
         cart: document.querySelector('.cart'),
-        container: document.querySelector('.container'),
-        close: document.querySelector('.close'),
+        close: document.querySelector('.cart .close'),
         listCart: document.querySelector('.listCart'),
+        status: document.querySelector('.cartStatus'),
+        clearCart: document.querySelector('.clearCart'),
+        shareCart: document.querySelector('.shareCart'),
         totalQuantity: document.querySelector('.totalQuantity')
     };
 
+    // O carrinho é um diálogo (Drawer): o estado aberto/fechado fica nele, e não no estilo do elemento
+    let drawer = null;
+
     // Vai inicializar os event listeners
     function initEventListeners() {
-        elements.iconCart.addEventListener('click', toggleCart);
-        elements.close.addEventListener('click', closeCart);
+        drawer = Drawer.create({
+            panel: elements.cart,
+            trigger: elements.iconCart,
+            closeButton: elements.close,
+            openClass: 'cartOpen'
+        });
+        Cart.subscribe(handleCartChange);
+        updateCartDisplay(Cart.getItems());
     }
 
-    // Alterna a visibilidade do carrinho
-    function toggleCart() {
-        if (elements.cart.style.right === '-100%') {
-            openCart();
-        } else {
-            closeCart();
+    // Redesenha o carrinho a cada mudança e avisa quando produtos fora do catálogo foram removidos
+    function handleCartChange(event) {
+        updateCartDisplay(event.items);
+        if (event.type === 'load' && event.removed.length > 0) {
+            showNotice(Catalog.getUnavailableMessage(event.removed.length));
         }
     }
 
     // Abre o carrinho
     function openCart() {
-        elements.cart.style.right = '0';
-        elements.container.style.transform = 'translateX(-400px)';
+        drawer.open();
     }
 
     // Fecha o carrinho
     function closeCart() {
-        elements.cart.style.right = '-100%';
-        elements.container.style.transform = 'translateX(0)';
+        drawer.close();
     }
 
-    // Atualiza a exibição do carrinho
+    // Atualiza a exibição do carrinho. Se o foco estava num botão de quantidade, ele volta para o mesmo botão.
     function updateCartDisplay(cartItems) {
+        const focused = elements.listCart.contains(document.activeElement) ? document.activeElement : null;
         elements.listCart.innerHTML = '';
         let totalQuantity = 0;
 
-        if (cartItems) {
-            cartItems.forEach(product => {
-                if (product) {
-                    renderCartItem(product);
-                    totalQuantity += product.quantity;
-                }
-            });
-        }
+        cartItems.forEach(product => {
+            renderCartItem(product);
+            totalQuantity += product.quantity;
+        });
 
         elements.totalQuantity.innerText = totalQuantity;
+        elements.clearCart.disabled = cartItems.length === 0;
+        elements.shareCart.disabled = cartItems.length === 0;
+        if (focused) {
+            drawer.restoreFocus(elements.listCart, focused);
+        }
+    }
+
+    // Anuncia uma mensagem para leitores de tela (região aria-live do carrinho)
+    function announce(message) {
+        elements.status.textContent = message;
+    }
+
+    // Anuncia a nova quantidade de um produto do carrinho
+    function announceQuantity(productId) {
+        const product = Catalog.getProduct(productId);
+        if (!product) return;
+
+        const quantity = Cart.getQuantity(productId);
+        announce(quantity > 0
+            ? I18n.plural('cart.quantityChanged', quantity, { name: product.name })
+            : I18n.t('cart.itemRemoved', { name: product.name }));
+    }
+
+    // Mostra um aviso no topo do carrinho. Ele some na próxima atualização.
+    function showNotice(message) {
+        const notice = document.createElement('div');
+        notice.classList.add('notice');
+        notice.textContent = message;
+        elements.listCart.prepend(notice);
     }
 
     // Renderiza um item do carrinho
     function renderCartItem(product) {
         const newCart = document.createElement('div');
         newCart.classList.add('item');
-        newCart.innerHTML = `
-            <img src="${product.image}">
+        Html.render(newCart, html`
+            <img src="${Html.url(product.image)}">
             <div class="content">
                 <div class="name">${product.name}</div>
-                <div class="price">R$${product.price}</div>
+                <div class="price">${Money.format(product.unitPrice)}</div>
+                <div class="itemActions">
+                    ${WishlistUI.renderToggle(product)}
+                    <button type="button" class="saveForLater" data-id="${product.id}" data-action="save-for-later">${I18n.t('wishlist.saveForLater')}</button>
+                    <button type="button" class="removeItem" data-id="${product.id}" data-action="remove" aria-label="${I18n.t('cart.removeItem', { name: product.name })}">${I18n.t('cart.remove')}</button>
+                </div>
             </div>
             <div class="quantity">
-                <button data-id="${product.id}" data-action="decrease">-</button>
+                <button type="button" data-id="${product.id}" data-action="decrease" aria-label="${I18n.t('cart.decrease', { name: product.name })}">-</button>
                 <span class="value">${product.quantity}</span>
-                <button data-id="${product.id}" data-action="increase">+</button>
-            </div>`;
+                <button type="button" data-id="${product.id}" data-action="increase" aria-label="${I18n.t('cart.increase', { name: product.name })}"${product.quantity >= Catalog.getPurchaseLimit(product.id) && Html.raw(' disabled')}>+</button>
+            </div>`);
         elements.listCart.appendChild(newCart);
     }
 
@@ -76,148 +235,886 @@ const CartUI = (() => { // Isso daqui vai fazer a interface do carrinho. Também
     return {
         init: initEventListeners,
         updateDisplay: updateCartDisplay,
+        showNotice: showNotice,
+        announceQuantity: announceQuantity,
+        openCart: openCart,
         closeCart: closeCart
     };
 })();
 
+const MessageUI = (() => { // Avisos rápidos (toasts) empilhados no topo da tela. Um aviso pode ter uma ação, como "Desfazer".
+    const DURATION = 3000;
+    const MAX_TOASTS = 3;
+    let container = null;
+
+    // Cria a região dos avisos na primeira vez que é usada. Ela é aria-live: leitores de tela anunciam cada aviso.
+    function getContainer() {
+        if (!container) {
+            container = document.createElement('div');
+            container.classList.add('toasts');
+            container.setAttribute('role', 'status');
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+
+    // Mostra as alterações do carrinho recusadas por estoque ou limite
+    function init() {
+        Cart.subscribe(event => {
+            if (event.type === 'rejected') {
+                show(event.message);
+            }
+        });
+    }
+
+    // Exibe um aviso por alguns segundos. Com `action` ({ label, onClick }), o aviso ganha um botão
+    // que executa a ação e fecha o aviso. Retorna a função que fecha o aviso antes do tempo.
+    function show(text, { action = null, duration = DURATION } = {}) {
+        const toasts = getContainer();
+        const toast = document.createElement('div');
+        toast.classList.add('message');
+
+        const message = document.createElement('span');
+        message.textContent = text;
+        toast.appendChild(message);
+
+        const dismiss = () => {
+            clearTimeout(timer);
+            toast.remove();
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                dismiss();
+                action.onClick();
+            });
+            toast.appendChild(button);
+        }
+
+        toasts.appendChild(toast);
+        while (toasts.children.length > MAX_TOASTS) {
+            toasts.firstElementChild.remove();
+        }
+
+        const timer = setTimeout(dismiss, duration);
+        return dismiss;
+    }
+
+    return {
+        init,
+        show
+    };
+})();
+
+const WishlistUI = (() => { // Painel de favoritos e botões de coração dos produtos.
+    const html = Html.template;
+
+    // Elementos DOM privados
+    const elements = {
+        iconWishlist: document.querySelector('.iconWishlist'),
+        wishlist: document.querySelector('.wishlist'),
+        close: document.querySelector('.wishlist .close'),
+        listWishlist: document.querySelector('.listWishlist'),
+        count: document.querySelector('.wishlistCount')
+    };
+
+    let drawer = null;
+
+    // Cria o painel e redesenha a lista a cada mudança (inclusive as feitas em outras abas)
+    function init() {
+        drawer = Drawer.create({
+            panel: elements.wishlist,
+            trigger: elements.iconWishlist,
+            closeButton: elements.close,
+            openClass: 'wishlistOpen'
+        });
+        Wishlist.subscribe(event => {
+            render(event.items);
+            updateToggles();
+        });
+        render(Wishlist.getItems());
+    }
+
+    // Botão de coração de um produto. aria-pressed indica se ele está nos favoritos.
+    function renderToggle(product) {
+        const saved = Wishlist.has(product.id);
+        return html`<button type="button" class="wishlistToggle" data-id="${product.id}" data-action="toggle-wishlist" aria-pressed="${saved}" aria-label="${I18n.t('wishlist.toggle', { name: product.name })}">${saved ? '♥' : '♡'}</button>`;
+    }
+
+    // Atualiza os corações já desenhados, sem redesenhar a lista de produtos (o foco continua no botão)
+    function updateToggles() {
+        document.querySelectorAll('.wishlistToggle').forEach(button => {
+            const saved = Wishlist.has(button.getAttribute('data-id'));
+            button.setAttribute('aria-pressed', String(saved));
+            button.textContent = saved ? '♥' : '♡';
+        });
+    }
+
+    // Renderiza o painel de favoritos
+    function render(items) {
+        const focused = elements.listWishlist.contains(document.activeElement) ? document.activeElement : null;
+        elements.count.textContent = items.length;
+
+        if (items.length === 0) {
+            Html.render(elements.listWishlist, html`<p class="empty">${I18n.t('wishlist.empty')}</p>`);
+        } else {
+            Html.render(elements.listWishlist, items.map(renderItem));
+        }
+
+        if (focused) {
+            drawer.restoreFocus(elements.listWishlist, focused);
+        }
+    }
+
+    // Renderiza um produto salvo
+    function renderItem(product) {
+        const soldOut = Catalog.isSoldOut(product);
+        return html`
+            <div class="item">
+                <img src="${Html.url(product.image)}">
+                <div class="content">
+                    <div class="name">${product.name}</div>
+                    <div class="price">${Money.format(Money.toCents(product.price))}</div>
+                    ${soldOut && html`<span class="soldOut">${I18n.t('product.soldOut')}</span>`}
+                </div>
+                <div class="itemActions">
+                    <button type="button" data-id="${product.id}" data-action="move-to-cart"${soldOut && Html.raw(' disabled')}>${I18n.t('wishlist.moveToCart')}</button>
+                    <button type="button" data-id="${product.id}" data-action="remove-from-wishlist" aria-label="${I18n.t('wishlist.removeItem', { name: product.name })}">${I18n.t('wishlist.remove')}</button>
+                </div>
+            </div>`;
+    }
+
+    return {
+        init,
+        render,
+        renderToggle,
+        open: () => drawer.open(),
+        close: () => drawer.close()
+    };
+})();
+
 /**
  * Módulo ProductUI - Responsável pela exibição dos produtos
  */
-const ProductUI = (() => {
-    // Elemento DOM privado
-    const listProductHTML = document.querySelector('.listProduct');
+const ProductUI = (() => { // Lista de produtos. Renderiza aos poucos (PAGE_SIZE por vez) para aguentar catálogos com milhares de produtos.
+    const html = Html.template;
+    const PAGE_SIZE = 24;
+    // Máximo de cards na página. Acima disso, os que ficaram longe da tela saem do DOM.
+    const MAX_RENDERED = PAGE_SIZE * 5;
+    // Distância da tela (em px) em que a próxima página já começa a carregar. Cards só saem a mais do dobro dela.
+    const PRELOAD_MARGIN = 600;
 
-    // Renderiza os produtos na página
-    function renderProducts(products) {
-        listProductHTML.innerHTML = '';
+    // Elementos DOM privados (páginas sem lista de produtos, como a de pedidos, não têm nenhum deles)
+    const elements = {
+        list: document.querySelector('.listProduct'),
+        status: document.querySelector('.listStatus'),
+        loadMore: document.querySelector('.loadMore')
+    };
 
-        if (products) {
-            products.forEach(product => {
-                renderProductItem(product);
-            });
+    // Espaço no topo da lista com a altura dos cards que saíram de cima, para a rolagem não pular
+    const spacer = document.createElement('div');
+    spacer.className = 'listSpacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.hidden = true;
+
+    // Produtos da lista atual (já filtrados e ordenados). Só os de firstRendered até renderedCount estão na página.
+    let products = [];
+    let firstRendered = 0;
+    let renderedCount = 0;
+    // Os cards só saem do DOM quando dá para trazê-los de volta pela rolagem (IntersectionObserver)
+    let windowed = false;
+
+    // Renderiza a lista de produtos a partir do primeiro. Com `preserve`, mantém na página os mesmos produtos
+    // (troca de idioma ou prévia do editor), para a rolagem não voltar ao topo.
+    function renderProducts(list, { preserve = false } = {}) {
+        if (!elements.list) return;
+
+        const keep = preserve && firstRendered < list.length;
+        const count = keep ? Math.max(renderedCount - firstRendered, PAGE_SIZE) : PAGE_SIZE;
+        products = list;
+        firstRendered = keep ? firstRendered : 0;
+        renderedCount = firstRendered;
+        elements.list.innerHTML = '';
+
+        if (products.length === 0) {
+            Html.render(elements.list, html`<p class="empty">${I18n.t('product.empty')}</p>`);
+        } else {
+            if (!keep) {
+                spacer.style.height = '';
+            }
+            spacer.hidden = firstRendered === 0;
+            elements.list.appendChild(spacer);
+            appendProducts(count);
+        }
+        updateStatus();
+    }
+
+    // Monta os cards de vários produtos num único fragmento, para entrarem na página de uma vez só.
+    function renderFragment(list) {
+        const template = document.createElement('template');
+        Html.render(template, list.map(renderProductItem));
+        return template.content;
+    }
+
+    // Acrescenta os próximos produtos no fim da lista.
+    function appendProducts(count) {
+        const next = products.slice(renderedCount, renderedCount + count);
+        elements.list.appendChild(renderFragment(next));
+        renderedCount += next.length;
+    }
+
+    // Cards que estão na página, na ordem da lista
+    function getItems() {
+        return [...elements.list.querySelectorAll('.item')];
+    }
+
+    // Quantos cards cabem numa linha do grid (depende da largura da tela)
+    function countColumns(items) {
+        const top = items[0].getBoundingClientRect().top;
+        const columns = items.findIndex(item => item.getBoundingClientRect().top !== top);
+        return columns === -1 ? items.length : columns;
+    }
+
+    // Posição de um card em relação ao topo da lista
+    function positionInList(item) {
+        return item.getBoundingClientRect().top - elements.list.getBoundingClientRect().top;
+    }
+
+    // Ajusta o espaço do topo para o card voltar à posição que tinha antes de a lista mudar acima dele.
+    function keepPosition(item, position) {
+        spacer.hidden = firstRendered === 0;
+        spacer.style.height = '0px';
+        if (!spacer.hidden) {
+            spacer.style.height = `${Math.max(0, position - positionInList(item))}px`;
+        }
+    }
+
+    // Tira do começo da lista as linhas de cards que ficaram bem acima da tela. Só tira linhas inteiras,
+    // para os cards que ficam não trocarem de coluna.
+    function trimAbove() {
+        const items = getItems();
+        if (!windowed || items.length <= MAX_RENDERED) return;
+
+        const columns = countColumns(items);
+        let removed = 0;
+        while (items.length - removed - columns >= MAX_RENDERED &&
+            items[removed + columns].getBoundingClientRect().top < -PRELOAD_MARGIN * 2) {
+            removed += columns;
         }
+        if (removed === 0) return;
+
+        const anchor = items[removed];
+        const position = positionInList(anchor);
+        items.slice(0, removed).forEach(item => item.remove());
+        firstRendered += removed;
+        keepPosition(anchor, position);
+    }
+
+    // Tira do fim da lista as linhas de cards que ficaram bem abaixo da tela. Elas voltam com a rolagem, como uma página nova.
+    function trimBelow() {
+        const items = getItems();
+        if (items.length <= MAX_RENDERED) return;
+
+        const columns = countColumns(items);
+        let kept = items.length;
+        while (kept > MAX_RENDERED) {
+            const lastRow = kept % columns || columns;
+            if (items[kept - lastRow].getBoundingClientRect().top < window.innerHeight + PRELOAD_MARGIN * 2) break;
+            kept -= lastRow;
+        }
+        items.slice(kept).forEach(item => item.remove());
+        renderedCount = firstRendered + kept;
+    }
+
+    // Carrega a próxima página (botão "Carregar mais" ou rolagem até o fim da lista).
+    // Pelo botão, o foco vai para o primeiro produto novo, para quem navega pelo teclado não voltar ao topo.
+    function renderMore({ focus = false } = {}) {
+        if (renderedCount >= products.length) return;
+
+        const firstNew = renderedCount;
+        appendProducts(PAGE_SIZE);
+        trimAbove();
+        updateStatus();
+        if (focus) {
+            getItems()[firstNew - firstRendered].querySelector('a').focus();
+        }
+    }
+
+    // Devolve para a página os cards que saíram de cima (rolagem de volta ao topo ou foco no primeiro card).
+    function renderPrevious() {
+        if (firstRendered === 0) return;
+
+        const items = getItems();
+        const position = positionInList(items[0]);
+        const columns = countColumns(items);
+        const start = Math.max(0, firstRendered - Math.ceil(PAGE_SIZE / columns) * columns);
+        spacer.after(renderFragment(products.slice(start, firstRendered)));
+        firstRendered = start;
+        keepPosition(items[0], position);
+        trimBelow();
+        updateStatus();
+    }
+
+    // Atualiza o contador ("Mostrando 24 de 5000 produtos") e esconde o botão quando a lista acabou
+    function updateStatus() {
+        if (!elements.status) return;
+
+        const done = renderedCount >= products.length;
+        elements.status.textContent = products.length > 0
+            ? I18n.t('product.showing', { shown: renderedCount, total: products.length })
+            : '';
+        elements.loadMore.hidden = done;
+    }
+
+    // Estado de erro: o catálogo não carregou. O botão tenta de novo.
+    function renderError() {
+        if (!elements.list) return;
+
+        products = [];
+        firstRendered = 0;
+        renderedCount = 0;
+        const message = Connectivity.isOnline() ? 'catalog.loadError' : 'catalog.offlineError';
+        Html.render(elements.list, html`
+            <div class="loadError" role="alert">
+                <p>${I18n.t(message)}</p>
+                <button type="button" class="retry">${I18n.t('catalog.retry')}</button>
+            </div>`);
+        updateStatus();
     }
 
-    // Renderiza um item de produto
+    // HTML de um card de produto. As imagens só carregam quando chegam perto da tela (loading="lazy").
     function renderProductItem(product) {
-        const newProduct = document.createElement('div');
-        newProduct.classList.add('item');
-        newProduct.innerHTML = `
-            <img src="${product.image}">
-            <h2>${product.name}</h2>
-            <div class="price">R$${product.price}</div>
-            <button data-id="${product.id}" class="add-to-cart">Adicionar ao Carrinho</button>`;
-        listProductHTML.appendChild(newProduct);
+        const soldOut = Catalog.isSoldOut(product);
+        return html`
+            <div class="item">
+                ${soldOut && html`<span class="soldOut">${I18n.t('product.soldOut')}</span>`}
+                ${WishlistUI.renderToggle(product)}
+                <a href="#/product/${product.id}"><img src="${Html.url(product.image)}" alt="" loading="lazy" decoding="async"></a>
+                <h2><a href="#/product/${product.id}">${product.name}</a></h2>
+                <div class="price">${Money.format(Money.toCents(product.price))}</div>
+                <button data-id="${product.id}" class="add-to-cart"${soldOut && Html.raw(' disabled')}>${I18n.t('product.addToCart')}</button>
+            </div>`;
+    }
+
+    // Chama `load` quando o elemento chega perto da tela. Depois de carregar, observa de novo:
+    // se o elemento continuar perto da tela, carrega mais uma vez.
+    function whenNearScreen(element, load) {
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                observer.unobserve(element);
+                load();
+                observer.observe(element);
+            }
+        }, { rootMargin: `${PRELOAD_MARGIN}px 0px` });
+        observer.observe(element);
+    }
+
+    // Liga o botão "Carregar mais" e, quando o navegador permite, carrega a próxima página sozinho
+    // quando o botão chega perto da tela (rolagem infinita). Os cards que saíram de cima voltam quando
+    // o espaço do topo chega perto da tela ou quando o primeiro card recebe o foco (Shift+Tab).
+    function init() {
+        if (!elements.loadMore) return;
+
+        elements.loadMore.addEventListener('click', () => renderMore({ focus: true }));
+        if ('IntersectionObserver' in window) {
+            windowed = true;
+            whenNearScreen(elements.loadMore, renderMore);
+            whenNearScreen(spacer, renderPrevious);
+            elements.list.addEventListener('focusin', (e) => {
+                if (firstRendered > 0 && e.target.closest('.item') === getItems()[0]) {
+                    renderPrevious();
+                }
+            });
+        }
     }
 
     return {
-        render: renderProducts
+        init,
+        render: renderProducts,
+        renderMore,
+        renderError
     };
 })();
 
 
-const CartManager = (() => { // Esse daqui é responsável pela lógica do carrinho.
-    let listCart = [];
-    let products = null;
+const ProductDetailUI = (() => { // Página de um produto: imagem maior, descrição e seletor de quantidade.
+    const html = Html.template;
 
-    // Carrega produtos do JSON
-    async function loadProducts() {
-        try {
-            const response = await fetch('product.json');
-            products = await response.json();
-            ProductUI.render(products);
-        } catch (error) {
-            console.error('Error loading products:', error);
+    // Elementos DOM privados
+    const elements = {
+        catalogView: document.querySelector('.catalogView'),
+        detail: document.querySelector('.productDetail')
+    };
+
+    // Mostra a lista de produtos ou a página de detalhe
+    function showView(view) {
+        elements.catalogView.hidden = view !== 'catalog';
+        elements.detail.hidden = view !== 'detail';
+        if (view === 'detail') {
+            window.scrollTo(0, 0);
         }
     }
 
-    // Carrega o carrinho do cookie
-    function loadCart() {
-        const cookieValue = document.cookie
-            .split('; ')
-            .find(row => row.startsWith('listCart='));
-        if (cookieValue) {
-            listCart = JSON.parse(cookieValue.split('=')[1]);
+    // Renderiza o detalhe de um produto. As imagens extras (images) e a descrição são opcionais.
+    function renderProduct(product) {
+        const images = [product.image, ...(product.images || [])].map(Html.url);
+        const soldOut = Catalog.isSoldOut(product);
+        const thumbs = images.length > 1
+            && html`<div class="thumbs">${images.map(image => html`<img src="${image}" data-image="${image}">`)}</div>`;
+
+        Html.render(elements.detail, html`
+            <a href="#/" class="back">&larr; ${I18n.t('product.backToList')}</a>
+            <div class="detailLayout">
+                <div class="gallery">
+                    <img class="mainImage" src="${images[0]}">
+                    ${thumbs}
+                </div>
+                <div class="info">
+                    <h2>${product.name}</h2>
+                    ${soldOut && html`<span class="soldOut">${I18n.t('product.soldOut')}</span>`}
+                    <div class="price">${Money.format(Money.toCents(product.price))}</div>
+                    <p class="description">${product.description}</p>
+                    <div class="quantitySelector">
+                        <button data-action="decrease">-</button>
+                        <input type="number" class="detailQuantity" min="1" value="1">
+                        <button data-action="increase">+</button>
+                    </div>
+                    <button data-id="${product.id}" class="add-to-cart"${soldOut && Html.raw(' disabled')}>${I18n.t('product.addToCart')}</button>
+                </div>
+            </div>`);
+        showView('detail');
+    }
+
+    // Renderiza a página de produto não encontrado
+    function renderNotFound() {
+        Html.render(elements.detail, html`
+            <div class="notFound">
+                <h2>${I18n.t('product.notFound')}</h2>
+                <a href="#/">${I18n.t('product.backToList')}</a>
+            </div>`);
+        showView('detail');
+    }
+
+    // Troca a imagem principal
+    function showImage(image) {
+        elements.detail.querySelector('.mainImage').src = Html.url(image);
+    }
+
+    // Quantidade escolhida (no mínimo 1)
+    function getQuantity() {
+        const quantity = Math.floor(Number(elements.detail.querySelector('.detailQuantity').value));
+        return quantity >= 1 ? quantity : 1;
+    }
+
+    // Altera a quantidade pelos botões - e +
+    function changeQuantity(operation) {
+        const input = elements.detail.querySelector('.detailQuantity');
+        const quantity = getQuantity() + (operation === 'increase' ? 1 : -1);
+        input.value = Math.max(1, quantity);
+    }
+
+    return {
+        showCatalog: () => showView('catalog'),
+        renderProduct,
+        renderNotFound,
+        showImage,
+        getQuantity,
+        changeQuantity
+    };
+})();
+
+
+const Router = (() => { // Roteamento pelo hash da URL: #/ para a lista e #/product/3 para um produto.
+    const routes = [];
+    let notFoundHandler = () => {};
+
+    // Registra uma rota. Os grupos da expressão regular viram argumentos do handler.
+    function on(pattern, handler) {
+        routes.push({ pattern, handler });
+    }
+
+    // Handler para caminhos que não batem com nenhuma rota
+    function otherwise(handler) {
+        notFoundHandler = handler;
+    }
+
+    // Executa a rota do hash atual. `options` chega ao handler depois dos grupos da expressão regular;
+    // { refresh: true } indica que a mesma tela só está sendo redesenhada (troca de idioma, por exemplo).
+    function resolve(options = {}) {
+        const path = window.location.hash.slice(1) || '/';
+        for (const route of routes) {
+            const match = path.match(route.pattern);
+            if (match) {
+                route.handler(...match.slice(1), options);
+                return;
+            }
         }
-        return [...listCart];
+        notFoundHandler(path);
     }
 
-    // Adiciona produto ao carrinho
-    function addToCart(productId) {
-        if (!products) return;
+    // Começa a ouvir as mudanças do hash (links, voltar e avançar do navegador)
+    function init() {
+        window.addEventListener('hashchange', () => resolve());
+        resolve();
+    }
+
+    return {
+        on,
+        otherwise,
+        resolve,
+        init
+    };
+})();
+
 
-        const productCopy = JSON.parse(JSON.stringify(products));
-        const productToAdd = productCopy.find(p => p.id == productId);
+const ProductFilter = (() => { // Busca por nome, faixa de preço e ordenação da lista de produtos. O estado fica na URL.
+    // Elementos DOM privados
+    const elements = {
+        search: document.getElementById('busca'),
+        minPrice: document.getElementById('precoMin'),
+        maxPrice: document.getElementById('precoMax'),
+        sort: document.getElementById('ordenar')
+    };
 
-        if (!productToAdd) return;
+    // Ordenações disponíveis. Os nomes são comparados com um Intl.Collator do idioma atual,
+    // bem mais rápido que localeCompare em catálogos grandes.
+    const sorters = {
+        'price-asc': (a, b) => a.price - b.price,
+        'price-desc': (a, b) => b.price - a.price,
+        'name-asc': (a, b, collator) => collator.compare(a.name, b.name),
+        'name-desc': (a, b, collator) => collator.compare(b.name, a.name)
+    };
 
-        if (!listCart[productId]) {
-            productToAdd.quantity = 1;
-            listCart[productId] = productToAdd;
-        } else {
-            listCart[productId].quantity++;
+    let state = readState(window.location.search);
+
+    // Lê o estado da query string (?q=&min=&max=&sort=)
+    function readState(search) {
+        const params = new URLSearchParams(search);
+        const sort = params.get('sort') || '';
+        return {
+            query: params.get('q') || '',
+            minPrice: parsePrice(params.get('min')),
+            maxPrice: parsePrice(params.get('max')),
+            sort: sorters[sort] ? sort : ''
+        };
+    }
+
+    // Converte o valor de um campo de preço. Vazio ou inválido vira null (sem limite).
+    function parsePrice(value) {
+        if (value === null || value === '') return null;
+        const price = Number(value);
+        return Number.isFinite(price) && price >= 0 ? price : null;
+    }
+
+    // Grava o estado na URL sem criar uma nova entrada no histórico
+    function writeState() {
+        const params = new URLSearchParams(window.location.search);
+        const values = { q: state.query, min: state.minPrice, max: state.maxPrice, sort: state.sort };
+        Object.entries(values).forEach(([key, value]) => {
+            if (value === '' || value === null) {
+                params.delete(key);
+            } else {
+                params.set(key, value);
+            }
+        });
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    // Remove acentos e caixa para a busca
+    function normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Aplica busca, filtro e ordenação a uma lista de produtos
+    function apply(products) {
+        const query = normalize(state.query.trim());
+        const result = products.filter(product =>
+            normalize(product.name).includes(query) &&
+            (state.minPrice === null || product.price >= state.minPrice) &&
+            (state.maxPrice === null || product.price <= state.maxPrice));
+
+        if (state.sort) {
+            const collator = new Intl.Collator(I18n.getLanguage());
+            result.sort((a, b) => sorters[state.sort](a, b, collator));
         }
+        return result;
+    }
+
+    // Preenche a barra com o estado da URL e atualiza a lista a cada alteração
+    function init(onChange) {
+        if (!elements.search) return;
 
-        saveCart();
+        elements.search.value = state.query;
+        elements.minPrice.value = state.minPrice ?? '';
+        elements.maxPrice.value = state.maxPrice ?? '';
+        elements.sort.value = state.sort;
+
+        Object.values(elements).forEach(element => {
+            element.addEventListener('input', () => {
+                state = {
+                    query: elements.search.value,
+                    minPrice: parsePrice(elements.minPrice.value),
+                    maxPrice: parsePrice(elements.maxPrice.value),
+                    sort: elements.sort.value
+                };
+                writeState();
+                onChange();
+            });
+        });
     }
 
-    // Altera quantidade de um produto no carrinho
+    return {
+        init,
+        apply
+    };
+})();
+
+
+const CartManager = (() => { // Esse daqui liga a página de produtos ao núcleo do carrinho (Cart).
+    const UNDO_DURATION = 5000;
+    let loaded = false;
+    let failed = false;
+    let loading = null;
+
+    // Carrega o catálogo e o carrinho. Chamadas durante o carregamento esperam o mesmo. Retorna se o catálogo carregou.
+    function loadProducts() {
+        if (!loading) {
+            loading = loadCatalogAndCart().finally(() => {
+                loading = null;
+            });
+        }
+        return loading;
+    }
+
+    // Espera o catálogo carregar (tenta de novo se o carregamento falhou). Retorna se ele carregou.
+    function whenLoaded() {
+        return loaded ? Promise.resolve(true) : loadProducts();
+    }
+
+    // Carrega produtos do JSON e, com eles, o carrinho salvo. Se o catálogo não carregar, a lista mostra
+    // o erro com um botão para tentar de novo, e o carrinho não é carregado (os itens seriam descartados
+    // como se tivessem saído do catálogo).
+    async function loadCatalogAndCart() {
+        try {
+            await Catalog.load();
+        } catch (error) {
+            console.error('Error loading products:', error);
+            failed = true;
+            ProductUI.renderError();
+            return false;
+        }
+
+        loaded = true;
+        failed = false;
+        renderProducts();
+        Cart.load();
+        Wishlist.load();
+        SharedCartUI.init();
+        return true;
+    }
+
+    // Renderiza os produtos (no idioma atual) com a busca, o filtro e a ordenação atuais
+    function renderProducts(options) {
+        if (failed) {
+            ProductUI.renderError();
+        }
+        if (!loaded) return;
+        ProductUI.render(ProductFilter.apply(Catalog.getProducts()), options);
+    }
+
+    // Adiciona produto ao carrinho e confirma com um aviso (o padrão é "adicionado ao carrinho").
+    // Retorna se o produto entrou no carrinho (o estoque e o limite podem recusar).
+    function addToCart(productId, quantity = 1, message = null) {
+        if (!loaded || !Cart.add(productId, quantity)) return false;
+        Analytics.track('add_to_cart', { productId: Number(productId), quantity });
+        MessageUI.show(message || I18n.plural('toast.added', quantity, { name: Catalog.getProduct(productId).name }));
+        return true;
+    }
+
+    // Altera quantidade de um produto no carrinho e anuncia o resultado para leitores de tela.
+    // Diminuir a última unidade é uma remoção, com a opção de desfazer (o aviso também é anunciado).
     function changeQuantity(productId, operation) {
-        if (!listCart[productId]) return;
-
-        switch (operation) {
-            case 'increase':
-                listCart[productId].quantity++;
-                break;
-            case 'decrease':
-                listCart[productId].quantity--;
-                if (listCart[productId].quantity <= 0) {
-                    delete listCart[productId];
-                }
-                break;
+        const quantity = Cart.getQuantity(productId);
+        if (!quantity) return;
+
+        if (operation === 'decrease' && quantity === 1) {
+            removeItem(productId);
+            return;
         }
+        if (Cart.add(productId, operation === 'increase' ? 1 : -1)) {
+            Analytics.track('change_quantity', { productId: Number(productId), quantity: Cart.getQuantity(productId), previousQuantity: quantity });
+        }
+        CartUI.announceQuantity(productId);
+    }
+
+    // Mostra o aviso com "Desfazer", que devolve os itens com as quantidades anteriores
+    function offerUndo(message, previousItems) {
+        MessageUI.show(message, {
+            duration: UNDO_DURATION,
+            action: {
+                label: I18n.t('toast.undo'),
+                onClick: () => Cart.restore(previousItems)
+            }
+        });
+    }
 
-        saveCart();
+    // Remove um produto do carrinho (botão remover ou última unidade), com a opção de desfazer
+    function removeItem(productId) {
+        const quantity = Cart.getQuantity(productId);
+        if (!quantity || !Cart.remove(productId)) return;
+        Analytics.track('change_quantity', { productId: Number(productId), quantity: 0, previousQuantity: quantity });
+        offerUndo(I18n.t('toast.removed', { name: Catalog.getProduct(productId).name }), [{ productId: Number(productId), quantity }]);
     }
 
-    // Salva o carrinho no cookie
-    function saveCart() {
-        const expires = "expires=Thu, 31 Dec 2025 23:59:59 UTC";
-        document.cookie = `listCart=${JSON.stringify(listCart)}; ${expires}; path=/;`;
-        CartUI.updateDisplay(getCartItems());
+    // Esvazia o carrinho, com a opção de desfazer
+    function clearCart() {
+        const previousItems = Cart.getLineItems();
+        if (previousItems.length === 0) return;
+
+        Cart.clear();
+        offerUndo(I18n.t('toast.cleared'), previousItems);
     }
 
-    // Obtém itens do carrinho
+    // Copia o link do carrinho atual, para mandar a outra pessoa
+    async function shareCart() {
+        if (Cart.getLineItems().length === 0) return;
+        if (await CartShare.copyLink('index.html')) {
+            MessageUI.show(I18n.t('share.copied'));
+        }
+    }
+
+    // Obtém itens do carrinho com os dados atuais de cada produto
     function getCartItems() {
-        return [...listCart];
+        return Cart.getItems();
     }
 
     return {
         loadProducts,
-        loadCart,
+        whenLoaded,
+        renderProducts,
         addToCart,
         changeQuantity,
+        removeItem,
+        clearCart,
+        shareCart,
         getCartItems
     };
 })();
 
 
+const WishlistManager = (() => { // Liga os botões de favoritos ao núcleo da lista (Wishlist) e move produtos entre ela e o carrinho.
+    // Coração: salva ou tira o produto dos favoritos
+    function toggle(productId) {
+        const product = Catalog.getProduct(productId);
+        if (!product || !Wishlist.toggle(productId)) return;
+        MessageUI.show(I18n.t(Wishlist.has(productId) ? 'wishlist.added' : 'wishlist.removed', { name: product.name }));
+    }
+
+    // Tira o produto do carrinho e o guarda nos favoritos
+    function saveForLater(productId) {
+        const product = Catalog.getProduct(productId);
+        if (!product) return;
+
+        Wishlist.add(productId);
+        Cart.remove(productId);
+        MessageUI.show(I18n.t('wishlist.savedForLater', { name: product.name }));
+    }
+
+    // Leva uma unidade do produto para o carrinho. Se o estoque ou o limite recusar, ele continua nos favoritos.
+    function moveToCart(productId) {
+        const product = Catalog.getProduct(productId);
+        if (!product || !CartManager.addToCart(productId, 1, I18n.t('wishlist.movedToCart', { name: product.name }))) return;
+
+        Wishlist.remove(productId);
+    }
+
+    // Remove o produto dos favoritos
+    function remove(productId) {
+        Wishlist.remove(productId);
+    }
+
+    return {
+        toggle,
+        saveForLater,
+        moveToCart,
+        remove
+    };
+})();
+
+
 const EventManager = (() => { // Serve para centralizar o gerenciamento de eventos.
     function init() {
         // Event delegation para botões de adicionar ao carrinho
-        document.querySelector('.listProduct').addEventListener('click', (e) => {
-            if (e.target.classList.contains('add-to-cart')) {
+        const listProduct = document.querySelector('.listProduct');
+        if (listProduct) {
+            listProduct.addEventListener('click', (e) => {
+                if (e.target.classList.contains('add-to-cart')) {
+                    const productId = e.target.getAttribute('data-id');
+                    CartManager.addToCart(productId);
+                } else if (e.target.classList.contains('wishlistToggle')) {
+                    WishlistManager.toggle(e.target.getAttribute('data-id'));
+                } else if (e.target.classList.contains('retry')) {
+                    // Tenta carregar o catálogo de novo; na página de produtos, a rota atual é refeita com ele
+                    e.target.disabled = true;
+                    CartManager.loadProducts().then(success => {
+                        if (success && document.querySelector('.productDetail')) {
+                            Router.resolve({ refresh: true });
+                        }
+                    });
+                }
+            });
+        }
+
+        // Event delegation para a página de detalhe do produto
+        const productDetail = document.querySelector('.productDetail');
+        if (productDetail) {
+            productDetail.addEventListener('click', (e) => {
+                if (e.target.classList.contains('add-to-cart')) {
+                    const productId = e.target.getAttribute('data-id');
+                    CartManager.addToCart(productId, ProductDetailUI.getQuantity());
+                } else if (e.target.hasAttribute('data-action')) {
+                    ProductDetailUI.changeQuantity(e.target.getAttribute('data-action'));
+                } else if (e.target.hasAttribute('data-image')) {
+                    ProductDetailUI.showImage(e.target.getAttribute('data-image'));
+                }
+            });
+        }
+
+        // Event delegation para os botões dos itens do carrinho: quantidade, coração e "salvar para depois"
+        document.querySelector('.listCart').addEventListener('click', (e) => {
+            if (e.target.tagName === 'BUTTON') {
                 const productId = e.target.getAttribute('data-id');
-                CartManager.addToCart(productId);
+                const action = e.target.getAttribute('data-action');
+                if (action === 'toggle-wishlist') {
+                    WishlistManager.toggle(productId);
+                } else if (action === 'save-for-later') {
+                    WishlistManager.saveForLater(productId);
+                } else if (action === 'remove') {
+                    CartManager.removeItem(productId);
+                } else {
+                    CartManager.changeQuantity(productId, action);
+                }
             }
         });
 
-        // Event delegation para botões de quantidade no carrinho
-        document.querySelector('.listCart').addEventListener('click', (e) => {
+        document.querySelector('.clearCart').addEventListener('click', CartManager.clearCart);
+        document.querySelector('.shareCart').addEventListener('click', CartManager.shareCart);
+
+        // Event delegation para os botões do painel de favoritos
+        document.querySelector('.listWishlist').addEventListener('click', (e) => {
             if (e.target.tagName === 'BUTTON') {
                 const productId = e.target.getAttribute('data-id');
                 const action = e.target.getAttribute('data-action');
-                CartManager.changeQuantity(productId, action);
+                if (action === 'move-to-cart') {
+                    WishlistManager.moveToCart(productId);
+                } else if (action === 'remove-from-wishlist') {
+                    WishlistManager.remove(productId);
+                }
             }
         });
     }
@@ -228,12 +1125,55 @@ const EventManager = (() => { // Serve para centralizar o gerenciamento de event
 })();
 
 
+// Rotas da página de produtos
+function initRoutes() {
+    Router.on(/^\/$/, ProductDetailUI.showCatalog);
+    Router.on(/^\/product\/(\d+)$/, (productId, { refresh }) => {
+        const product = Catalog.getProduct(productId);
+        if (product) {
+            ProductDetailUI.renderProduct(product);
+            if (!refresh) {
+                Analytics.track('product_view', { productId: product.id });
+            }
+        } else {
+            ProductDetailUI.renderNotFound();
+        }
+    });
+    Router.otherwise(ProductDetailUI.renderNotFound);
+    Router.init();
+}
+
+// Redesenha o que foi renderizado pelo JavaScript quando o idioma muda
+function handleLanguageChange() {
+    CartUI.updateDisplay(Cart.getItems());
+    WishlistUI.render(Wishlist.getItems());
+    CartManager.renderProducts({ preserve: true });
+    if (document.querySelector('.productDetail')) {
+        Router.resolve({ refresh: true });
+    }
+}
+
 function initApp() { // Inicia a aplicação.
+    I18n.init();
+    I18n.subscribe(handleLanguageChange);
     CartUI.init();
+    WishlistUI.init();
+    ProductUI.init();
+    MessageUI.init();
     EventManager.init();
-    CartManager.loadProducts();
-    CartManager.loadCart();
-    CartUI.updateDisplay(CartManager.getCartItems());
+    ProductFilter.init(CartManager.renderProducts);
+    OrderQueue.subscribe(order => {
+        MessageUI.show(I18n.t(order.status === 'confirmed' ? 'toast.orderSent' : 'toast.orderUnavailable', { id: order.id }));
+    });
+    CartManager.loadProducts().then(() => {
+        // Só a página de produtos tem rotas
+        if (document.querySelector('.productDetail')) {
+            initRoutes();
+        }
+    });
 }
 
-initApp();
\ No newline at end of file
+// Páginas sem o carrinho, como o editor do catálogo, usam só os módulos de exibição (a prévia usa o ProductUI)
+if (document.querySelector('.cart')) {
+    initApp();
+}
\ No newline at end of file
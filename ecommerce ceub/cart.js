@@ -0,0 +1,223 @@
+const Cart = (() => { // Núcleo do carrinho, usado por todas as páginas. As telas assinam as mudanças com subscribe().
+    // Itens no formato { productId, quantity }. Nome, imagem e preço vêm sempre do Catalog.
+    let lineItems = [];
+    const listeners = [];
+
+    // Eventos enviados aos listeners, sempre com o tipo e os itens atuais (completos, com dados do catálogo):
+    // - load: carrinho carregado; `removed` traz os itens que saíram do catálogo e foram descartados;
+    // - add, update, remove: alteração de um produto, com `productId`, `quantity` e `previousQuantity`;
+    // - clear: carrinho esvaziado, com os itens anteriores em `previousItems`;
+    // - restore: itens devolvidos pelo "Desfazer", em `restored`;
+    // - import: itens de um carrinho compartilhado, em `imported`, com os itens anteriores em `previousItems`;
+    // - sync: o carrinho foi alterado em outra aba;
+    // - rejected: alteração recusada por estoque ou limite por pedido, com `productId` e `message`.
+    function emit(event) {
+        const payload = { ...event, items: getItems() };
+        listeners.forEach(listener => listener(payload));
+    }
+
+    // Registra um listener para as mudanças do carrinho. Retorna a função que cancela o registro.
+    function subscribe(listener) {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    // Carrega o carrinho salvo. Deve ser chamado depois do Catalog.load(), para descartar produtos que saíram do catálogo.
+    function load() {
+        const { available, unavailable } = Catalog.splitAvailable(CartStorage.load());
+        lineItems = available;
+        if (unavailable.length > 0) {
+            CartStorage.save(lineItems);
+        }
+        emit({ type: 'load', removed: unavailable });
+    }
+
+    // Busca o item de um produto.
+    function findItem(productId) {
+        return lineItems.find(item => item.productId === Number(productId));
+    }
+
+    // Quantidade de um produto no carrinho.
+    function getQuantity(productId) {
+        const item = findItem(productId);
+        return item ? item.quantity : 0;
+    }
+
+    // Aplica uma alteração sobre o carrinho salvo mais recente, e não sobre a cópia em memória,
+    // para não sobrescrever o que outra aba acabou de gravar. Depois salva, avisa as outras abas e os listeners.
+    function update(change) {
+        lineItems = CartStorage.load();
+        const event = change();
+        if (!event) return;
+
+        CartStorage.save(lineItems);
+        CartSync.notify();
+        emit(event);
+    }
+
+    // Verifica o estoque e o limite por pedido. Se a quantidade passar do limite, avisa os listeners.
+    function isWithinLimit(productId, quantity) {
+        if (quantity <= Catalog.getPurchaseLimit(productId)) return true;
+
+        emit({ type: 'rejected', productId: Number(productId), message: Catalog.getLimitMessage(productId) });
+        return false;
+    }
+
+    // Altera a quantidade de um produto. `getNewQuantity` recebe a quantidade atual (já lida do armazenamento)
+    // e devolve a nova; zero ou menos remove o produto. Retorna se a alteração foi feita.
+    function changeQuantity(productId, getNewQuantity) {
+        if (!Catalog.getProduct(productId)) return false;
+
+        let changed = false;
+        update(() => {
+            const previousQuantity = getQuantity(productId);
+            const quantity = getNewQuantity(previousQuantity);
+            if (quantity === previousQuantity || (previousQuantity === 0 && quantity <= 0)) return null;
+            if (quantity > previousQuantity && !isWithinLimit(productId, quantity)) return null;
+
+            if (quantity <= 0) {
+                lineItems = lineItems.filter(item => item.productId !== Number(productId));
+            } else if (previousQuantity === 0) {
+                lineItems.push({ productId: Number(productId), quantity });
+            } else {
+                findItem(productId).quantity = quantity;
+            }
+
+            changed = true;
+            const type = quantity <= 0 ? 'remove' : previousQuantity === 0 ? 'add' : 'update';
+            return { type, productId: Number(productId), quantity: Math.max(quantity, 0), previousQuantity };
+        });
+        return changed;
+    }
+
+    // Adiciona unidades de um produto (um valor negativo tira unidades).
+    function add(productId, quantity = 1) {
+        return changeQuantity(productId, previousQuantity => previousQuantity + quantity);
+    }
+
+    // Define a quantidade de um produto.
+    function setQuantity(productId, quantity) {
+        return changeQuantity(productId, () => quantity);
+    }
+
+    // Remove um produto do carrinho.
+    function remove(productId) {
+        return setQuantity(productId, 0);
+    }
+
+    // Esvazia o carrinho.
+    function clear() {
+        const previousItems = getLineItems();
+        lineItems = [];
+        CartStorage.clear();
+        CartSync.notify();
+        emit({ type: 'clear', previousItems });
+    }
+
+    // Devolve itens ({ productId, quantity }) com as quantidades que tinham antes, usado pelo "Desfazer".
+    // Produtos que saíram do catálogo são ignorados e as quantidades respeitam o estoque e o limite atuais.
+    function restore(items) {
+        update(() => {
+            const restored = items
+                .filter(item => Catalog.getProduct(item.productId))
+                .map(item => ({
+                    productId: Number(item.productId),
+                    quantity: Math.min(item.quantity, Catalog.getPurchaseLimit(item.productId))
+                }))
+                .filter(item => item.quantity > 0);
+            if (restored.length === 0) return null;
+
+            restored.forEach(item => {
+                const existing = findItem(item.productId);
+                if (existing) {
+                    existing.quantity = item.quantity;
+                } else {
+                    lineItems.push(item);
+                }
+            });
+            return { type: 'restore', restored };
+        });
+    }
+
+    // Recebe os itens ({ productId, quantity }) de um carrinho compartilhado. Com `replace`, eles substituem o carrinho;
+    // sem, as quantidades são somadas às que já estão nele. Produtos fora do catálogo são ignorados e as quantidades
+    // respeitam o estoque e o limite atuais. Retorna os ids dos produtos que entraram com menos unidades que o pedido.
+    function importItems(items, { replace = false } = {}) {
+        const limited = [];
+        update(() => {
+            const previousItems = getLineItems();
+            if (replace) {
+                lineItems = [];
+            }
+
+            const imported = items
+                .filter(item => Catalog.getProduct(item.productId))
+                .map(item => {
+                    const productId = Number(item.productId);
+                    const previousQuantity = getQuantity(productId);
+                    const quantity = Math.min(previousQuantity + item.quantity, Catalog.getPurchaseLimit(productId));
+                    if (quantity < previousQuantity + item.quantity) {
+                        limited.push(productId);
+                    }
+                    if (quantity <= previousQuantity) return null;
+
+                    if (previousQuantity === 0) {
+                        lineItems.push({ productId, quantity });
+                    } else {
+                        findItem(productId).quantity = quantity;
+                    }
+                    return { productId, quantity: quantity - previousQuantity };
+                })
+                .filter(Boolean);
+            if (imported.length === 0 && !replace) return null;
+
+            return { type: 'import', imported, previousItems };
+        });
+        return limited;
+    }
+
+    // Itens no formato salvo ({ productId, quantity }).
+    function getLineItems() {
+        return lineItems.map(item => ({ ...item }));
+    }
+
+    // Itens completos com os dados atuais do catálogo (preço em centavos em unitPrice).
+    function getItems() {
+        return Catalog.resolveItems(lineItems);
+    }
+
+    // Quantidade total e subtotal (em centavos) com os preços do catálogo.
+    function totals() {
+        const items = getItems();
+        return {
+            quantity: items.reduce((quantity, item) => quantity + item.quantity, 0),
+            subtotal: Money.sum(items.map(item => Money.multiply(item.unitPrice, item.quantity)))
+        };
+    }
+
+    // Recarrega o carrinho quando outra aba o altera.
+    CartSync.subscribe(() => {
+        lineItems = CartStorage.load();
+        emit({ type: 'sync' });
+    });
+
+    return {
+        subscribe,
+        load,
+        add,
+        remove,
+        setQuantity,
+        clear,
+        restore,
+        importItems,
+        getQuantity,
+        getLineItems,
+        getItems,
+        totals
+    };
+})();
@@ -0,0 +1,196 @@
+const CartShare = (() => { // Links de carrinho compartilhado: os itens do carrinho vão num parâmetro curto da URL (?cart=).
+    const PARAM = 'cart';
+    const MAX_ITEMS = 100;
+    const MAX_QUANTITY = 999;
+
+    // Formato: versão_itens_verificação. Cada item é id.quantidade, em base 36, e os itens são separados por "-".
+    // Ex.: 1_2.3-5.1_xx = 3 unidades do produto 2 e 1 do produto 5. Só usa caracteres que não são escapados na URL.
+    // A verificação (dois caracteres) recusa links cortados ou editados à mão; os preços nunca vêm do link.
+    const PATTERN = /^1_([0-9a-z]{1,8}\.[0-9a-z]{1,2}(?:-[0-9a-z]{1,8}\.[0-9a-z]{1,2})*)_([0-9a-z]{2})$/;
+
+    function checksum(text) {
+        const hash = [...text].reduce((result, char) => (result * 31 + char.charCodeAt(0)) % 1296, 7);
+        return hash.toString(36).padStart(2, '0');
+    }
+
+    // Codifica os itens ({ productId, quantity }) no valor do parâmetro.
+    function encode(lineItems) {
+        const body = lineItems
+            .slice(0, MAX_ITEMS)
+            .map(item => `${item.productId.toString(36)}.${Math.min(item.quantity, MAX_QUANTITY).toString(36)}`)
+            .join('-');
+        return `1_${body}_${checksum(body)}`;
+    }
+
+    // Lê o valor do parâmetro. Retorna os itens ou null quando o link está corrompido ou foi alterado.
+    function decode(value) {
+        const match = PATTERN.exec(value);
+        if (!match || checksum(match[1]) !== match[2]) return null;
+
+        const items = match[1].split('-').map(pair => {
+            const [productId, quantity] = pair.split('.').map(number => parseInt(number, 36));
+            return { productId, quantity };
+        });
+        const ids = new Set(items.map(item => item.productId));
+        const valid = items.length <= MAX_ITEMS && ids.size === items.length &&
+            items.every(item => item.productId > 0 && item.quantity > 0 && item.quantity <= MAX_QUANTITY);
+        return valid ? items : null;
+    }
+
+    // Endereço de uma página da loja (index.html ou checkout.html) que abre com os itens informados.
+    function buildUrl(lineItems, page) {
+        const url = new URL(page, window.location.href);
+        url.searchParams.set(PARAM, encode(lineItems));
+        return url.href;
+    }
+
+    // Copia o link do carrinho atual. Sem acesso à área de transferência, mostra o link para o usuário copiar.
+    // Retorna se o link foi copiado.
+    async function copyLink(page) {
+        const url = buildUrl(Cart.getLineItems(), page);
+        try {
+            await navigator.clipboard.writeText(url);
+            return true;
+        } catch (error) {
+            window.prompt(I18n.t('share.copyPrompt'), url);
+            return false;
+        }
+    }
+
+    // Carrinho do link com que a página foi aberta, ou null se ela não veio de um link de carrinho.
+    // Retorna { invalid, items, unknown }: `invalid` para links alterados; `items` só com os produtos do catálogo;
+    // `unknown` com a quantidade de produtos que não existem (mais) no catálogo. Deve ser chamado depois do Catalog.load().
+    function readFromUrl() {
+        const value = new URLSearchParams(window.location.search).get(PARAM);
+        if (value === null) return null;
+
+        const items = decode(value);
+        if (!items) return { invalid: true, items: [], unknown: 0 };
+
+        const { available, unavailable } = Catalog.splitAvailable(items);
+        return { invalid: false, items: available, unknown: unavailable.length };
+    }
+
+    // Tira o parâmetro da URL sem criar uma nova entrada no histórico, para o link não ser aplicado de novo.
+    function clearUrl() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete(PARAM);
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    return {
+        encode,
+        decode,
+        buildUrl,
+        copyLink,
+        readFromUrl,
+        clearUrl
+    };
+})();
+
+
+const SharedCartUI = (() => { // Prévia do carrinho recebido por link: o visitante escolhe substituir o carrinho dele ou juntar os dois.
+    const html = Html.template;
+
+    // Elemento DOM privado (só index.html e checkout.html têm a prévia)
+    const panel = document.querySelector('.sharedCart');
+
+    // Carrinho do link e, depois de aplicado, os produtos que entraram com menos unidades
+    let shared = null;
+    let result = null;
+
+    // Botões da prévia
+    function renderButtons(buttons) {
+        return html`<div class="sharedCartButtons">${buttons.map(([action, label]) => html`
+            <button type="button" data-action="${action}">${I18n.t(label)}</button>`)}</div>`;
+    }
+
+    // Itens do link com os nomes e preços atuais do catálogo
+    function renderItems() {
+        const items = Catalog.resolveItems(shared.items);
+        const subtotal = Money.sum(items.map(item => Money.multiply(item.unitPrice, item.quantity)));
+        return html`
+            <ul class="sharedCartItems">${items.map(item => html`
+                <li>
+                    <img src="${Html.url(item.image)}" alt="" loading="lazy">
+                    <span class="name">${item.name}</span>
+                    <span class="quantity">x${item.quantity}</span>
+                    <span class="price">${Money.format(Money.multiply(item.unitPrice, item.quantity))}</span>
+                </li>`)}
+            </ul>
+            <div class="row">
+                <div>${I18n.t('checkout.subtotal')}</div>
+                <div>${Money.format(subtotal)}</div>
+            </div>`;
+    }
+
+    // Desenha a prévia conforme o estado: link inválido, sem produtos do catálogo, aguardando a escolha ou já aplicado
+    function render() {
+        if (!shared) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+
+        let content;
+        if (result) {
+            content = html`
+                <p>${I18n.t('share.imported')}</p>
+                ${result.length > 0 && html`<p class="sharedCartNotice">${I18n.plural('share.limited', result.length)}</p>`}
+                ${renderButtons([['dismiss', 'cart.close']])}`;
+        } else if (shared.invalid || shared.items.length === 0) {
+            content = html`
+                <p class="sharedCartNotice">${I18n.t(shared.invalid ? 'share.invalid' : 'share.noneAvailable')}</p>
+                ${renderButtons([['dismiss', 'cart.close']])}`;
+        } else {
+            const hasCart = Cart.getLineItems().length > 0;
+            content = html`
+                ${shared.unknown > 0 && html`<p class="sharedCartNotice">${I18n.plural('share.unknown', shared.unknown)}</p>`}
+                ${renderItems()}
+                ${renderButtons(hasCart
+                    ? [['replace', 'share.replace'], ['merge', 'share.merge'], ['dismiss', 'share.ignore']]
+                    : [['replace', 'share.add'], ['dismiss', 'share.ignore']])}`;
+        }
+
+        Html.render(panel, html`
+            <h2 id="sharedCartTitle" tabindex="-1">${I18n.t('share.title')}</h2>
+            ${content}`);
+        panel.hidden = false;
+    }
+
+    // Aplica a escolha do visitante. O link sai da URL em qualquer caso.
+    function handleClick(e) {
+        const action = e.target.getAttribute('data-action');
+        if (!action) return;
+
+        CartShare.clearUrl();
+        if (action === 'dismiss') {
+            shared = null;
+            result = null;
+            render();
+            return;
+        }
+
+        result = Cart.importItems(shared.items, { replace: action === 'replace' });
+        render();
+        panel.querySelector('button').focus();
+    }
+
+    // Mostra a prévia quando a página foi aberta por um link de carrinho. Deve ser chamado depois do Cart.load().
+    function init() {
+        if (!panel) return;
+
+        shared = CartShare.readFromUrl();
+        if (!shared) return;
+
+        panel.addEventListener('click', handleClick);
+        I18n.subscribe(render);
+        render();
+        panel.querySelector('h2').focus();
+    }
+
+    return {
+        init
+    };
+})();
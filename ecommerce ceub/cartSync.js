@@ -0,0 +1,49 @@
+const CartSync = (() => { // Avisa as outras abas abertas quando o carrinho muda, para que todas mostrem o mesmo carrinho.
+    const CHANNEL_NAME = 'listCart'; // Também é a chave do carrinho no localStorage, usada no evento storage.
+    const listeners = [];
+    let channel = null;
+
+    // Usa BroadcastChannel quando o navegador tem suporte. Sem ele, o evento storage avisa na hora, mas só dispara
+    // com o adaptador localStorage; com cookie (ou sessionStorage), a aba relê o carrinho quando volta a ficar visível.
+    function init() {
+        if ('BroadcastChannel' in window) {
+            channel = new BroadcastChannel(CHANNEL_NAME);
+            channel.addEventListener('message', emit);
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === CHANNEL_NAME) {
+                    emit();
+                }
+            });
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    emit();
+                }
+            });
+        }
+    }
+
+    // Chama os listeners desta aba.
+    function emit() {
+        listeners.forEach(listener => listener());
+    }
+
+    // Registra um listener chamado quando outra aba altera o carrinho.
+    function subscribe(listener) {
+        listeners.push(listener);
+    }
+
+    // Avisa as outras abas que o carrinho salvo mudou. Elas recarregam o carrinho do armazenamento.
+    function notify() {
+        if (channel) {
+            channel.postMessage({ type: 'cart-changed' });
+        }
+    }
+
+    init();
+
+    return {
+        subscribe,
+        notify
+    };
+})();
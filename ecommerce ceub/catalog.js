@@ -0,0 +1,193 @@
+const Catalog = (() => { // Fonte única dos dados dos produtos (nome, imagem e preço), lidos do product.json.
+    // Campos sem os quais um produto não pode ser exibido nem vendido.
+    const REQUIRED_FIELDS = ['id', 'name', 'price', 'image'];
+    // Campos que as traduções (translations) podem substituir.
+    const TRANSLATABLE_FIELDS = ['name', 'description'];
+
+    let source = [];
+    let products = [];
+    let productsById = new Map();
+    let loading = null;
+
+    // Mantém só os textos traduzíveis de cada idioma, para uma tradução não trocar o preço ou o id do produto.
+    function sanitizeTranslations(product) {
+        if (product.translations === undefined) return product;
+
+        const { translations, ...rest } = product;
+        if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+            console.warn(`Catalog: invalid translations of product ${product.id} ignored.`);
+            return rest;
+        }
+        const clean = Object.entries(translations).reduce((result, [language, fields]) => {
+            const texts = Object.entries(fields || {})
+                .filter(([field, value]) => TRANSLATABLE_FIELDS.includes(field) && typeof value === 'string');
+            if (texts.length < Object.keys(fields || {}).length) {
+                console.warn(`Catalog: invalid ${language} translation fields of product ${product.id} ignored.`);
+            }
+            result[language] = Object.fromEntries(texts);
+            return result;
+        }, {});
+        return { ...rest, translations: clean };
+    }
+
+    // Valida os produtos do product.json com o CatalogSchema, com um aviso no console para cada problema:
+    // produtos com id, nome, preço ou imagem inválidos (ou com id repetido) são ignorados, e campos opcionais
+    // inválidos (estoque, limite, descrição) são descartados. Lança um erro se o arquivo não for uma lista.
+    function sanitize(data) {
+        if (!Array.isArray(data)) {
+            throw new Error('product.json must be a list of products');
+        }
+
+        return data.reduce((accepted, product, index) => {
+            if (!product || typeof product !== 'object' || Array.isArray(product)) {
+                console.warn(`Catalog: entry ${index} ignored: not a product.`);
+                return accepted;
+            }
+
+            const errors = CatalogSchema.validateProduct(product, accepted);
+            const fields = Object.keys(errors);
+            if (fields.some(field => REQUIRED_FIELDS.includes(field))) {
+                console.warn(`Catalog: product at position ${index} (id ${product.id}) ignored:`, errors);
+                return accepted;
+            }
+
+            let valid = sanitizeTranslations(product);
+            if (fields.length > 0) {
+                console.warn(`Catalog: invalid fields of product ${product.id} ignored:`, errors);
+                valid = { ...valid };
+                fields.forEach(field => delete valid[field]);
+            }
+            accepted.push(valid);
+            return accepted;
+        }, []);
+    }
+
+    // Carrega o product.json uma única vez. Chamadas seguintes reaproveitam a mesma requisição.
+    // `fresh` pede a versão da rede, e não a do cache do service worker (que só é usada sem conexão).
+    // Se o carregamento falhar, a próxima chamada tenta de novo.
+    function load({ fresh = false } = {}) {
+        if (!loading) {
+            const request = loading = fetch('product.json', fresh ? { cache: 'no-cache' } : undefined)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load product.json (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    products = sanitize(data);
+                    source = data;
+                    productsById = new Map(products.map(product => [product.id, product]));
+                    return getProducts();
+                })
+                .catch(error => {
+                    if (loading === request) {
+                        loading = null;
+                    }
+                    throw error;
+                });
+        }
+        return loading;
+    }
+
+    // Busca o product.json de novo, para conferir preços e estoque atualizados.
+    function reload() {
+        loading = null;
+        return load({ fresh: true });
+    }
+
+    // Retorna uma cópia da lista de produtos, com nome e descrição no idioma atual.
+    function getProducts() {
+        return products.map(I18n.localize);
+    }
+
+    // Cópia do product.json exatamente como foi lido (sem tradução e sem a validação), para o editor do catálogo
+    // mostrar e corrigir também os produtos inválidos.
+    function getSourceProducts() {
+        return JSON.parse(JSON.stringify(source));
+    }
+
+    // Busca um produto pelo id (já traduzido). O índice por id evita percorrer catálogos grandes a cada busca.
+    function getProduct(productId) {
+        const product = productsById.get(Number(productId));
+        return product ? I18n.localize(product) : null;
+    }
+
+    // Produto com estoque zerado.
+    function isSoldOut(product) {
+        return product.stock === 0;
+    }
+
+    // Quantidade máxima de um produto por pedido: o menor entre o estoque (stock) e o limite por pedido (maxPerOrder).
+    // Os dois campos são opcionais; sem eles não há limite.
+    function getPurchaseLimit(productId) {
+        const product = getProduct(productId);
+        if (!product) return 0;
+
+        const limits = [product.stock, product.maxPerOrder].filter(limit => Number.isInteger(limit) && limit >= 0);
+        return limits.length > 0 ? Math.min(...limits) : Infinity;
+    }
+
+    // Mensagem exibida quando o cliente tenta passar do limite de um produto.
+    function getLimitMessage(productId) {
+        const product = getProduct(productId);
+        const limit = getPurchaseLimit(productId);
+        if (limit === 0) return I18n.t('cart.soldOut', { name: product.name });
+        return I18n.t('cart.limit', { limit, units: I18n.plural('cart.unit', limit), name: product.name });
+    }
+
+    // Aviso exibido quando produtos que saíram do catálogo são removidos do carrinho.
+    function getUnavailableMessage(count) {
+        return I18n.plural('cart.unavailable', count);
+    }
+
+    // Confere se as quantidades do carrinho respeitam estoque e limites. Retorna a lista de problemas encontrados.
+    function checkAvailability(lineItems) {
+        return lineItems
+            .filter(item => !getProduct(item.productId) || item.quantity > getPurchaseLimit(item.productId))
+            .map(item => ({
+                productId: item.productId,
+                message: getProduct(item.productId)
+                    ? getLimitMessage(item.productId)
+                    : I18n.t('cart.itemUnavailable')
+            }));
+    }
+
+    // Separa os itens do carrinho entre os que ainda existem no catálogo e os que foram removidos dele.
+    function splitAvailable(lineItems) {
+        return lineItems.reduce((result, item) => {
+            if (getProduct(item.productId)) {
+                result.available.push(item);
+            } else {
+                result.unavailable.push(item);
+            }
+            return result;
+        }, { available: [], unavailable: [] });
+    }
+
+    // Completa cada item do carrinho com os dados atuais do produto. O preço vem sempre do catálogo,
+    // em centavos no campo unitPrice.
+    function resolveItems(lineItems) {
+        return lineItems
+            .filter(item => getProduct(item.productId))
+            .map(item => {
+                const product = getProduct(item.productId);
+                return { ...product, unitPrice: Money.toCents(product.price), quantity: item.quantity };
+            });
+    }
+
+    return {
+        load,
+        reload,
+        getProducts,
+        getSourceProducts,
+        getProduct,
+        isSoldOut,
+        getPurchaseLimit,
+        getLimitMessage,
+        getUnavailableMessage,
+        checkAvailability,
+        splitAvailable,
+        resolveItems
+    };
+})();
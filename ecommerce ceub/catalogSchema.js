@@ -0,0 +1,107 @@
+const CatalogSchema = (() => { // Regras dos produtos do product.json. Usado pelo editor do catálogo para validar antes de exportar.
+    // Ordem dos campos no product.json exportado. Campos desconhecidos vão para o fim, na ordem em que vieram.
+    const FIELD_ORDER = ['id', 'name', 'price', 'image', 'images', 'description', 'stock', 'maxPerOrder', 'translations'];
+
+    // Imagens aceitas: arquivos da pasta images ou imagens enviadas como data URL.
+    const IMAGE_PATH = /^images\/[\w.-]+\.(?:webp|png|jpe?g|gif|avif)$/i;
+    const DATA_URL = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,/i;
+
+    // Número inteiro maior ou igual a `min`.
+    function isInteger(value, min) {
+        return Number.isInteger(value) && value >= min;
+    }
+
+    // Preço em reais: positivo e com no máximo duas casas decimais.
+    function isPrice(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value > 0 && Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+    }
+
+    // Caminho ou data URL de imagem.
+    function isImage(value) {
+        return typeof value === 'string' && (IMAGE_PATH.test(value) || (DATA_URL.test(value) && Html.url(value) !== ''));
+    }
+
+    // Texto obrigatório.
+    function isText(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    // Valida um produto. Retorna um objeto { campo: mensagem } só com os campos inválidos.
+    // `products` é o catálogo inteiro, usado para conferir ids repetidos (o próprio produto é ignorado pela posição `index`).
+    function validateProduct(product, products = [], index = -1) {
+        const errors = {};
+
+        if (!isInteger(product.id, 1)) {
+            errors.id = I18n.t('schema.idInvalid');
+        } else if (products.some((other, otherIndex) => otherIndex !== index && other.id === product.id)) {
+            errors.id = I18n.t('schema.idDuplicated', { id: product.id });
+        }
+        if (!isText(product.name)) {
+            errors.name = I18n.t('schema.nameRequired');
+        }
+        if (!isPrice(product.price)) {
+            errors.price = I18n.t('schema.priceInvalid');
+        }
+        if (!isImage(product.image)) {
+            errors.image = I18n.t('schema.imageInvalid');
+        }
+        if (product.images !== undefined && !(Array.isArray(product.images) && product.images.every(isImage))) {
+            errors.images = I18n.t('schema.imageInvalid');
+        }
+        if (product.description !== undefined && typeof product.description !== 'string') {
+            errors.description = I18n.t('schema.descriptionInvalid');
+        }
+        if (product.stock !== undefined && !isInteger(product.stock, 0)) {
+            errors.stock = I18n.t('schema.stockInvalid');
+        }
+        if (product.maxPerOrder !== undefined && !isInteger(product.maxPerOrder, 1)) {
+            errors.maxPerOrder = I18n.t('schema.maxPerOrderInvalid');
+        }
+        return errors;
+    }
+
+    // Valida o catálogo inteiro. Retorna a lista de problemas: [{ index, id, field, message }].
+    function validateCatalog(products) {
+        if (!Array.isArray(products)) {
+            return [{ index: -1, id: null, field: null, message: I18n.t('schema.notAList') }];
+        }
+
+        return products.flatMap((product, index) => {
+            if (!product || typeof product !== 'object') {
+                return [{ index, id: null, field: null, message: I18n.t('schema.notAProduct') }];
+            }
+            return Object.entries(validateProduct(product, products, index))
+                .map(([field, message]) => ({ index, id: product.id, field, message }));
+        });
+    }
+
+    // Devolve uma cópia do produto com os campos na ordem padrão, sem campos opcionais vazios.
+    function normalizeProduct(product) {
+        const keys = [
+            ...FIELD_ORDER.filter(key => key in product),
+            ...Object.keys(product).filter(key => !FIELD_ORDER.includes(key))
+        ];
+        return keys.reduce((result, key) => {
+            const value = product[key];
+            const empty = value === undefined || value === null || value === '' ||
+                (Array.isArray(value) && value.length === 0) ||
+                (key === 'translations' && Object.keys(value).length === 0);
+            if (!empty) {
+                result[key] = value;
+            }
+            return result;
+        }, {});
+    }
+
+    // Gera o texto do product.json: produtos normalizados, indentados com 4 espaços.
+    function serialize(products) {
+        return `${JSON.stringify(products.map(normalizeProduct), null, 4)}\n`;
+    }
+
+    return {
+        validateProduct,
+        validateCatalog,
+        normalizeProduct,
+        serialize
+    };
+})();
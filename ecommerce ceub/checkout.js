@@ -1,46 +1,81 @@
-const CartService = (() => { // Responsável pela lógica e manipulação do carrinho. Também irá encapsular o acesso de dados do carrinho através de cookies.
-    let cartItems = [];
+const CartService = (() => { // Regras do carrinho que só existem no checkout (frete e promoções), sobre o núcleo Cart.
+    // Destino da entrega ({ location, cep }), usado no cálculo do frete.
+    let destination = { location: '', cep: '' };
+    // Cupom digitado pelo cliente. Se deixar de valer (ex.: o carrinho mudou), os totais trazem o motivo em couponError.
+    let couponCode = '';
     
-    // Carrega os itens do carrinho do cookie.
-    function loadCart() {
-        const cookieValue = document.cookie
-            .split('; ')
-            .find(row => row.startsWith('listCart='));
-        
-        if (cookieValue) {
-            cartItems = JSON.parse(cookieValue.split('=')[1]) || [];
-        }
-        return getCartItems();
+    // Retorna os itens no formato salvo ({ productId, quantity }).
+    function getLineItems() {
+        return Cart.getLineItems();
     }
     
-    // Retorna uma cópia dos itens do carrinho. Segue o princípio de imutabilidade.
+    // Retorna os itens do carrinho completos com os dados do catálogo.
     function getCartItems() {
-        return [...cartItems];
+        return Cart.getItems();
+    }
+    
+    // Define o destino da entrega.
+    function setDestination(newDestination) {
+        destination = { ...newDestination };
+    }
+    
+    // Define o cupom de desconto ('' remove o cupom).
+    function setCoupon(code) {
+        couponCode = Promotions.normalizeCode(code);
+    }
+    
+    // Retorna o cupom atual.
+    function getCoupon() {
+        return couponCode;
+    }
+    
+    // Tenta de novo carregar as promoções (quando falharam ao abrir a página) e, se carregarem, refaz os totais.
+    function reloadPromotions() {
+        Promotions.load()
+            .then(() => CartController.refreshCart())
+            .catch(error => console.error('Error loading promotions:', error));
     }
     
-    // Calcula os totais do carrinho.
+    // Calcula os totais do carrinho com os preços do catálogo, as promoções e o frete do destino. Valores em centavos.
+    // shipping é null enquanto o frete não puder ser calculado; shippingQuote traz a região e o motivo.
+    // promotionsUnavailable indica que as promoções não carregaram (elas são pedidas de novo).
+    // O frete é calculado sobre o valor já com desconto e o desconto não incide sobre o frete.
     function calculateTotals() {
-        return cartItems.reduce((totals, product) => {
-            if (product) {
-                totals.quantity += product.quantity;
-                totals.price += product.price * product.quantity;
-            }
-            return totals;
-        }, { quantity: 0, price: 0 });
+        if (!Promotions.isLoaded()) {
+            reloadPromotions();
+        }
+        const items = getCartItems();
+        const { quantity, subtotal } = Cart.totals();
+        const promotion = Promotions.apply(items, subtotal, couponCode);
+        const discounted = subtotal - promotion.discount;
+        const shippingQuote = Shipping.quote(destination, discounted);
+        const shipping = shippingQuote.price;
+        return {
+            quantity,
+            subtotal,
+            discount: promotion.discount,
+            discounts: promotion.applied,
+            couponError: promotion.couponError,
+            promotionsUnavailable: promotion.unavailable,
+            shipping,
+            shippingQuote,
+            total: discounted + (shipping || 0)
+        };
     }
     
-    // Salva o carrinho no cookie.
-    function saveCart(items) {
-        cartItems = items;
-        const expires = "expires=Thu, 31 Dec 2025 23:59:59 UTC";
-        document.cookie = `listCart=${JSON.stringify(cartItems)}; ${expires}; path=/;`;
+    // Esvazia o carrinho.
+    function clearCart() {
+        Cart.clear();
     }
     
     return { // Vai retornar as funções.
-        loadCart,
+        getLineItems,
         getCartItems,
+        setDestination,
+        setCoupon,
+        getCoupon,
         calculateTotals,
-        saveCart
+        clearCart
     };
 })();
 
@@ -49,7 +84,16 @@ const CartRenderer = (() => { // Renderiza o carrinho na UI e encapsula toda a m
     // Seletores de elementos DOM.
     const selectors = {
         listContainer: '.returnCart .list',
+        notice: '.returnCart .cartNotice',
+        shareCart: '.shareCart',
         totalQuantity: '.totalQuantity',
+        subtotal: '.subtotal',
+        discountRow: '.discountRow',
+        discount: '.discount',
+        discountLabel: '.discountLabel',
+        couponMessage: '.couponMessage',
+        shippingPrice: '.shippingPrice',
+        shippingLabel: '.shippingLabel',
         totalPrice: '.totalPrice'
     };
     
@@ -59,7 +103,16 @@ const CartRenderer = (() => { // Renderiza o carrinho na UI e encapsula toda a m
     // Inicializa os elementos DOM.
     function init() {
         elements.listContainer = document.querySelector(selectors.listContainer);
+        elements.notice = document.querySelector(selectors.notice);
+        elements.shareCart = document.querySelector(selectors.shareCart);
         elements.totalQuantity = document.querySelector(selectors.totalQuantity);
+        elements.subtotal = document.querySelector(selectors.subtotal);
+        elements.discountRow = document.querySelector(selectors.discountRow);
+        elements.discount = document.querySelector(selectors.discount);
+        elements.discountLabel = document.querySelector(selectors.discountLabel);
+        elements.couponMessage = document.querySelector(selectors.couponMessage);
+        elements.shippingPrice = document.querySelector(selectors.shippingPrice);
+        elements.shippingLabel = document.querySelector(selectors.shippingLabel);
         elements.totalPrice = document.querySelector(selectors.totalPrice);
     }
     
@@ -70,33 +123,47 @@ const CartRenderer = (() => { // Renderiza o carrinho na UI e encapsula toda a m
         const totals = CartService.calculateTotals();
         renderTotals(totals);
         
-        if (items && items.length > 0) {
-            items.forEach(product => {
-                if (product) {
-                    renderCartItem(product);
-                }
-            });
-        }
+        items.forEach(product => {
+            renderCartItem(product);
+        });
+        elements.shareCart.disabled = items.length === 0;
+    }
+    
+    // Estado de erro: o catálogo não carregou, então o carrinho não pode ser mostrado. O botão tenta de novo.
+    function renderLoadError() {
+        const message = Connectivity.isOnline() ? 'catalog.loadError' : 'catalog.offlineError';
+        Html.render(elements.listContainer, Html.template`
+            <div class="loadError" role="alert">
+                <p>${I18n.t(message)}</p>
+                <button type="button" class="retry">${I18n.t('catalog.retry')}</button>
+            </div>`);
+        elements.shareCart.disabled = true;
+    }
+    
+    // Avisa que produtos fora do catálogo foram removidos do carrinho.
+    function renderNotice(removedCount) {
+        elements.notice.hidden = removedCount === 0;
+        elements.notice.textContent = Catalog.getUnavailableMessage(removedCount);
     }
     
     // Renderiza um único item do carrinho.
     function renderCartItem(product) {
         const itemElement = document.createElement('div');
         itemElement.classList.add('item');
-        itemElement.innerHTML = generateCartItemHTML(product);
+        Html.render(itemElement, generateCartItemHTML(product));
         elements.listContainer.appendChild(itemElement);
     }
     
-    // Gera o HTML para um item do carrinho.
+    // Gera o HTML para um item do carrinho. Os dados do produto são escapados pelo Html.template.
     function generateCartItemHTML(product) {
-        return `
-            <img src="${product.image}">
+        return Html.template`
+            <img src="${Html.url(product.image)}">
             <div class="info">
                 <div class="name">${product.name}</div>
-                <div class="price">R$${product.price}</div>
+                <div class="price">${Money.formatDisplay(product.unitPrice)}</div>
             </div>
             <div class="quantity">${product.quantity}</div>
-            <div class="returnPrice">R$${product.price * product.quantity}</div>
+            <div class="returnPrice">${Money.formatDisplay(Money.multiply(product.unitPrice, product.quantity))}</div>
         `;
     }
     
@@ -108,26 +175,838 @@ const CartRenderer = (() => { // Renderiza o carrinho na UI e encapsula toda a m
     // Atualiza os totais na UI.
     function renderTotals(totals) {
         elements.totalQuantity.textContent = totals.quantity;
-        elements.totalPrice.textContent = `R$${totals.price}`;
+        elements.subtotal.textContent = Money.formatDisplay(totals.subtotal);
+        renderDiscount(totals);
+        elements.shippingPrice.textContent = formatShipping(totals.shipping);
+        elements.shippingLabel.textContent = totals.shippingQuote.label;
+        elements.totalPrice.textContent = Money.formatDisplay(totals.total);
+    }
+    
+    // Mostra a linha de desconto e a situação do cupom.
+    function renderDiscount(totals) {
+        elements.discountRow.hidden = totals.discount === 0;
+        elements.discount.textContent = `- ${Money.formatDisplay(totals.discount)}`;
+        elements.discountLabel.textContent = totals.discounts.map(discount => discount.description).join(', ');
+        
+        const coupon = CartService.getCoupon();
+        const error = totals.couponError || (totals.promotionsUnavailable && I18n.t('coupon.unavailable'));
+        elements.couponMessage.classList.toggle('error', Boolean(error));
+        if (error) {
+            elements.couponMessage.textContent = error;
+        } else {
+            elements.couponMessage.textContent = coupon ? I18n.t('checkout.couponApplied', { code: coupon }) : '';
+        }
+    }
+    
+    // Texto do frete: "A calcular" enquanto não há destino e "Grátis" acima do valor mínimo.
+    function formatShipping(shipping) {
+        if (shipping === null) return I18n.t('checkout.shippingPending');
+        if (shipping === 0) return I18n.t('checkout.free');
+        return Money.formatDisplay(shipping);
     }
     
     return { // Retorna as funções.
         init,
-        renderCart
+        renderCart,
+        renderLoadError,
+        renderNotice
     };
 })();
 
-const CartController = (() => { // Serve para coordenar a interação entre serviço e renderização.
-    // Inicializa o carrinho.
+const FieldErrors = (() => { // Erros de validação exibidos ao lado de cada campo ([data-error-for]), usados pelos formulários do checkout.
+    // Cria o controle de erros de um formulário. `fields` são os ids dos campos e `validateAll` valida o formulário
+    // inteiro, retornando { campo: mensagem } apenas com os campos inválidos.
+    function create(fields, validateAll) {
+        // Exibe (ou limpa) a mensagem de erro de um campo.
+        function set(field, message) {
+            document.querySelector(`[data-error-for="${field}"]`).textContent = message;
+            document.getElementById(field).classList.toggle('invalid', Boolean(message));
+        }
+        
+        // Exibe as mensagens de erro de todos os campos.
+        function show(errors) {
+            fields.forEach(field => set(field, errors[field] || ''));
+        }
+        
+        // Valida de novo só os campos que estão mostrando erro (usado na troca de idioma).
+        function refresh() {
+            const errors = validateAll();
+            fields
+                .filter(field => document.querySelector(`[data-error-for="${field}"]`).textContent)
+                .forEach(field => set(field, errors[field] || ''));
+        }
+        
+        // Limpa o erro de um campo assim que o usuário o corrige.
+        function init() {
+            fields.forEach(field => {
+                document.getElementById(field).addEventListener('change', () => {
+                    if (!validateAll()[field]) {
+                        set(field, '');
+                    }
+                });
+            });
+        }
+        
+        return {
+            init,
+            show,
+            refresh
+        };
+    }
+    
+    return { // Retorna as funções.
+        create
+    };
+})();
+
+const CheckoutForm = (() => { // Lê e valida os campos do formulário de checkout, exibindo os erros ao lado de cada campo.
+    // Ids dos campos do formulário.
+    const fields = ['nome', 'telefone', 'email', 'lugar', 'cep'];
+    
+    // Regras de validação. Cada regra recebe o valor do campo e todos os valores do formulário,
+    // e retorna a mensagem de erro ou null se o valor for válido.
+    const rules = {
+        nome: value => {
+            if (!value) return I18n.t('validation.nameRequired');
+            if (value.length < 3) return I18n.t('validation.nameTooShort');
+            return null;
+        },
+        telefone: value => {
+            if (!value) return I18n.t('validation.phoneRequired');
+            if (!isValidPhone(value)) return I18n.t('validation.phoneInvalid');
+            return null;
+        },
+        email: value => {
+            if (!value) return I18n.t('validation.emailRequired');
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return I18n.t('validation.emailInvalid');
+            return null;
+        },
+        lugar: value => {
+            if (!value) return I18n.t('validation.locationRequired');
+            return null;
+        },
+        cep: (value, values) => {
+            if (values.lugar !== 'brasil') return null;
+            if (!value) return I18n.t('validation.cepRequired');
+            if (!Shipping.normalizeCep(value)) return I18n.t('validation.cepInvalid');
+            // Sem a tabela de frete não dá para saber se o CEP é atendido: o pedido é barrado pelo frete indisponível.
+            if (Shipping.isLoaded() && !Shipping.findRegion(value)) return I18n.t('validation.cepNotServed');
+            return null;
+        }
+    };
+    
+    // Telefone brasileiro: DDD sem zero + celular (9 + 8 dígitos) ou fixo (8 dígitos começando de 2 a 5).
+    // Aceita o código do país (55) e qualquer pontuação.
+    function isValidPhone(value) {
+        let digits = value.replace(/\D/g, '');
+        if (digits.length > 11 && digits.startsWith('55')) {
+            digits = digits.slice(2);
+        }
+        return /^[1-9]{2}(?:9\d{8}|[2-5]\d{7})$/.test(digits);
+    }
+    
+    // Lê os valores atuais do formulário.
+    function getValues() {
+        return fields.reduce((values, field) => {
+            values[field] = document.getElementById(field).value.trim();
+            return values;
+        }, {});
+    }
+    
+    // Valida todos os campos e retorna um objeto { campo: mensagem } apenas com os campos inválidos.
+    function validate(values) {
+        return fields.reduce((errors, field) => {
+            const message = rules[field](values[field], values);
+            if (message) {
+                errors[field] = message;
+            }
+            return errors;
+        }, {});
+    }
+    
+    // Erros exibidos ao lado dos campos.
+    const errorDisplay = FieldErrors.create(fields, () => validate(getValues()));
+    
+    return { // Retorna as funções.
+        init: errorDisplay.init,
+        getValues,
+        validate,
+        showErrors: errorDisplay.show,
+        refreshErrors: errorDisplay.refresh
+    };
+})();
+
+const PaymentForm = (() => { // Etapa de pagamento: forma escolhida (Pix, boleto ou cartão) e os campos do cartão.
+    // Ids dos campos do cartão (os mesmos das regras do CardValidator).
+    const fields = CardValidator.fields;
+    
+    // Forma de pagamento escolhida: 'pix', 'boleto' ou 'card'.
+    function getMethod() {
+        return document.querySelector('input[name="pagamento"]:checked').value;
+    }
+    
+    // Lê a forma de pagamento e, no cartão, os dados digitados.
+    function getValues() {
+        return fields.reduce((values, field) => {
+            values[field] = document.getElementById(field).value.trim();
+            return values;
+        }, { method: getMethod() });
+    }
+    
+    // Valida os dados do cartão. Pix e boleto não têm campos.
+    function validate(values) {
+        return values.method === 'card' ? CardValidator.validate(values) : {};
+    }
+    
+    // Erros exibidos ao lado dos campos do cartão.
+    const errorDisplay = FieldErrors.create(fields, () => validate(getValues()));
+    
+    // Mostra só os campos e o aviso da forma de pagamento escolhida.
+    function updateMethod() {
+        const method = getMethod();
+        document.querySelectorAll('.payment [data-method]').forEach(element => {
+            element.hidden = element.getAttribute('data-method') !== method;
+        });
+    }
+    
+    // Mostra a bandeira do cartão enquanto o número é digitado.
+    function updateBrand() {
+        const brand = CardValidator.detectBrand(document.getElementById('numeroCartao').value);
+        document.querySelector('.cardBrand').textContent = brand ? brand.name : '';
+    }
+    
+    // Troca de forma de pagamento, bandeira e limpeza do erro de um campo assim que o usuário o corrige.
+    function initEventListeners() {
+        document.querySelectorAll('input[name="pagamento"]').forEach(input => {
+            input.addEventListener('change', updateMethod);
+        });
+        document.getElementById('numeroCartao').addEventListener('input', updateBrand);
+        errorDisplay.init();
+        updateMethod();
+        updateBrand();
+    }
+    
+    return { // Retorna as funções.
+        init: initEventListeners,
+        getValues,
+        validate,
+        showErrors: errorDisplay.show,
+        refreshErrors: errorDisplay.refresh
+    };
+})();
+
+const OrderService = (() => { // Monta o pedido a partir do carrinho e dos dados do cliente.
+    // Gera um id curto e legível para o pedido.
+    function generateOrderId() {
+        const time = Date.now().toString(36).toUpperCase();
+        const random = Math.random().toString(36).slice(2, 6).toUpperCase();
+        return `PED-${time}-${random}`;
+    }
+    
+    // Cria o objeto do pedido. Os itens guardam o preço do momento da compra.
+    function createOrder(customer, status, id, payment, totals) {
+        const items = CartService.getCartItems()
+            .filter(product => product)
+            .map(product => ({
+                id: product.id,
+                name: product.name,
+                image: product.image,
+                unitPrice: product.unitPrice,
+                quantity: product.quantity
+            }));
+        
+        return {
+            id,
+            createdAt: new Date().toISOString(),
+            status,
+            customer: {
+                name: customer.nome,
+                phone: customer.telefone,
+                email: customer.email,
+                location: customer.lugar
+            },
+            currency: 'BRL',
+            coupon: CartService.getCoupon() || null,
+            items,
+            shipping: {
+                location: customer.lugar,
+                cep: customer.lugar === 'brasil' ? Shipping.normalizeCep(customer.cep) : null,
+                label: totals.shippingQuote.label,
+                price: totals.shipping
+            },
+            discounts: totals.discounts,
+            totals: {
+                quantity: totals.quantity,
+                subtotal: totals.subtotal,
+                discount: totals.discount,
+                shipping: totals.shipping,
+                total: totals.total
+            },
+            payment
+        };
+    }
+    
+    // Finaliza o pedido, salva no histórico e esvazia o carrinho. O id e os totais são os mesmos usados na cobrança (PaymentProcessor).
+    // Sem conexão, o pedido fica pendente na fila (OrderQueue) até a conexão voltar.
+    function placeOrder(customer, { id, payment, totals, offline = false }) {
+        const order = createOrder(customer, offline ? 'pending' : 'confirmed', id, payment, totals);
+        OrderStore.saveOrder(order);
+        if (offline) {
+            OrderQueue.enqueue(order.id);
+        }
+        CartService.clearCart();
+        return order;
+    }
+    
+    return { // Retorna as funções.
+        generateOrderId,
+        placeOrder
+    };
+})();
+
+const PaymentRenderer = (() => { // Instruções de pagamento na confirmação: QR Code e código do Pix, linha do boleto ou cartão aprovado.
+    const html = Html.template;
+    
+    // Data AAAA-MM-DD no formato do idioma atual.
+    function formatDate(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(I18n.getLanguage());
+    }
+    
+    // Resumo do pagamento em uma linha (usado no recibo).
+    function describe(payment) {
+        if (payment.method === 'card') return I18n.t('payment.summary.card', { brand: payment.brand, last4: payment.last4 });
+        if (payment.method === 'boleto') return I18n.t('payment.summary.boleto', { date: formatDate(payment.dueDate) });
+        return I18n.t('payment.summary.pix');
+    }
+    
+    // Código com o botão de copiar.
+    function renderCode(label, code) {
+        return html`
+            <div class="paymentCode">
+                <label for="paymentCode">${label}</label>
+                <textarea id="paymentCode" readonly rows="3">${code}</textarea>
+                <button type="button" data-action="copy">${I18n.t('payment.copy')}</button>
+                <small class="copyStatus" role="status"></small>
+            </div>`;
+    }
+    
+    // Conteúdo conforme a forma de pagamento. Pedidos que não passaram na conferência do estoque não devem ser pagos.
+    function renderContent(order) {
+        const { payment } = order;
+        if (payment.method === 'card') {
+            return html`<p>${I18n.t('payment.cardApproved', { brand: payment.brand, last4: payment.last4 })}</p>`;
+        }
+        if (order.status === 'unavailable') {
+            return html`<p class="statusNotice">${I18n.t('payment.doNotPay')}</p>`;
+        }
+        if (payment.method === 'boleto') {
+            return html`
+                <p>${I18n.t('payment.boletoInstructions', { date: formatDate(payment.dueDate) })}</p>
+                ${renderCode(I18n.t('payment.boletoLine'), payment.boletoLine)}`;
+        }
+        return html`
+            <p>${I18n.t('payment.pixInstructions')}</p>
+            ${QrCode.toSvg(payment.pixPayload, { label: I18n.t('payment.pixQrLabel') })}
+            ${renderCode(I18n.t('payment.pixCode'), payment.pixPayload)}`;
+    }
+    
+    // Renderiza as instruções do pedido. Pedidos sem pagamento (feitos antes desta etapa existir) não mostram nada.
+    function render(order) {
+        const section = document.querySelector('.paymentInfo');
+        section.hidden = !order.payment;
+        if (!order.payment) return;
+    
+        const titles = { pix: 'payment.pixTitle', boleto: 'payment.boletoTitle', card: 'payment.title' };
+        Html.render(section, html`
+            <h2 id="paymentInfoTitle">${I18n.t(titles[order.payment.method])}</h2>
+            ${renderContent(order)}`);
+    }
+    
+    // Copia o código do Pix ou a linha do boleto. Sem acesso à área de transferência, mostra o código para o usuário copiar.
+    async function copyCode(e) {
+        if (e.target.getAttribute('data-action') !== 'copy') return;
+    
+        const code = document.getElementById('paymentCode').value;
+        const status = document.querySelector('.paymentInfo .copyStatus');
+        try {
+            await navigator.clipboard.writeText(code);
+            status.textContent = I18n.t('payment.copied');
+        } catch (error) {
+            window.prompt(I18n.t('payment.copyPrompt'), code);
+        }
+    }
+    
+    // Liga o botão de copiar da confirmação.
+    function init() {
+        document.querySelector('.paymentInfo').addEventListener('click', copyCode);
+    }
+    
+    return { // Retorna as funções.
+        init,
+        describe,
+        render
+    };
+})();
+
+const ReceiptRenderer = (() => { // Recibo do pedido, com layout próprio para impressão (print.css).
+    const html = Html.template;
+    
+    // Nome do lugar de entrega no idioma atual, com o CEP quando houver.
+    function formatLocation(order) {
+        const keys = { brasil: 'checkout.brazil', exterior: 'checkout.abroad' };
+        const location = keys[order.customer.location] ? I18n.t(keys[order.customer.location]) : order.customer.location;
+        if (!order.shipping || !order.shipping.cep) return location;
+        return `${location} (${I18n.t('checkout.cep')} ${order.shipping.cep.replace(/^(\d{5})(\d{3})$/, '$1-$2')})`;
+    }
+    
+    // Linha de total do recibo.
+    function renderTotal(label, value, className = '') {
+        return html`
+            <tr class="${className}">
+                <th scope="row" colspan="3">${label}</th>
+                <td>${value}</td>
+            </tr>`;
+    }
+    
+    // Renderiza o recibo com os dados guardados no pedido (os mesmos do carrinho e do CartService.calculateTotals
+    // no momento da compra). Os valores ficam sempre em reais, a moeda da cobrança.
+    function render(order) {
+        const receipt = document.querySelector('.receipt');
+        const items = order.items.map(item => html`
+            <tr>
+                <td>${item.name}</td>
+                <td>${item.quantity}</td>
+                <td>${Money.format(item.unitPrice)}</td>
+                <td>${Money.format(Money.multiply(item.unitPrice, item.quantity))}</td>
+            </tr>`);
+        const discounts = (order.discounts || []).map(discount =>
+            renderTotal(`${I18n.t('checkout.discount')}: ${discount.description}`, `- ${Money.format(discount.amount)}`));
+        const shippingLabel = order.shipping && order.shipping.label ? `: ${order.shipping.label}` : '';
+        
+        Html.render(receipt, html`
+            <header class="receiptHeader">
+                <h2 id="receiptTitle">${I18n.t('receipt.title')}</h2>
+                <div class="receiptStore">${I18n.t('page.title')}</div>
+            </header>
+            <dl class="receiptInfo">
+                <dt>${I18n.t('confirmation.orderNumber')}</dt>
+                <dd>${order.id}</dd>
+                <dt>${I18n.t('confirmation.date')}</dt>
+                <dd>${new Date(order.createdAt).toLocaleString(I18n.getLanguage())}</dd>
+                <dt>${I18n.t('receipt.customer')}</dt>
+                <dd>
+                    <div>${order.customer.name}</div>
+                    <div>${order.customer.email}</div>
+                    <div>${order.customer.phone}</div>
+                    <div>${formatLocation(order)}</div>
+                </dd>
+                ${order.payment && html`
+                    <dt>${I18n.t('payment.title')}</dt>
+                    <dd>
+                        <div>${PaymentRenderer.describe(order.payment)}</div>
+                        ${order.payment.boletoLine && html`<div class="receiptCode">${order.payment.boletoLine}</div>`}
+                    </dd>`}
+            </dl>
+            <table class="receiptItems">
+                <thead>
+                    <tr>
+                        <th scope="col">${I18n.t('receipt.product')}</th>
+                        <th scope="col">${I18n.t('receipt.quantity')}</th>
+                        <th scope="col">${I18n.t('receipt.unitPrice')}</th>
+                        <th scope="col">${I18n.t('receipt.lineTotal')}</th>
+                    </tr>
+                </thead>
+                <tbody>${items}</tbody>
+                <tfoot>
+                    ${renderTotal(I18n.t('checkout.subtotal'), Money.format(order.totals.subtotal))}
+                    ${discounts}
+                    ${renderTotal(`${I18n.t('checkout.shipping')}${shippingLabel}`, order.totals.shipping ? Money.format(order.totals.shipping) : I18n.t('checkout.free'))}
+                    ${renderTotal(I18n.t('checkout.totalPrice'), Money.format(order.totals.total), 'receiptTotal')}
+                </tfoot>
+            </table>`);
+    }
+    
+    return { // Retorna as funções.
+        render
+    };
+})();
+
+const OrderExport = (() => { // Exporta o pedido em JSON (o pedido completo) e em CSV (uma linha por item, para planilhas).
+    // Colunas do CSV. Os nomes não mudam com o idioma, para as planilhas do financeiro não quebrarem.
+    const CSV_COLUMNS = [
+        'order_id', 'created_at', 'status', 'customer_name', 'customer_email', 'customer_phone', 'location', 'cep',
+        'product_id', 'product_name', 'quantity', 'unit_price', 'line_total',
+        'subtotal', 'discount', 'shipping', 'total', 'currency',
+        'payment_method', 'payment_status', 'transaction_id'
+    ];
+    
+    // Centavos em reais com ponto decimal (4990 -> "49.90"), o formato que as planilhas leem como número.
+    function toDecimal(cents) {
+        return (cents / 100).toFixed(2);
+    }
+    
+    // Escapa um campo do CSV. Textos que começam com =, +, - ou @ ganham um apóstrofo,
+    // para a planilha não executá-los como fórmula (o nome do cliente é digitado por ele).
+    function csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    // Pedido completo em JSON.
+    function toJson(order) {
+        return `${JSON.stringify(order, null, 2)}\n`;
+    }
+    
+    // Uma linha por item, repetindo os dados, os totais e o pagamento do pedido.
+    function toCsv(order) {
+        const payment = order.payment || {};
+        const rows = order.items.map(item => [
+            order.id,
+            order.createdAt,
+            order.status || 'confirmed',
+            order.customer.name,
+            order.customer.email,
+            order.customer.phone,
+            order.customer.location,
+            order.shipping ? order.shipping.cep : '',
+            item.id,
+            item.name,
+            item.quantity,
+            toDecimal(item.unitPrice),
+            toDecimal(Money.multiply(item.unitPrice, item.quantity)),
+            toDecimal(order.totals.subtotal),
+            toDecimal(order.totals.discount || 0),
+            toDecimal(order.totals.shipping || 0),
+            toDecimal(order.totals.total),
+            order.currency,
+            payment.method,
+            payment.status,
+            payment.transactionId
+        ]);
+        return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+    
+    // Baixa o pedido no formato escolhido ('json' ou 'csv'). O CSV começa com BOM para o Excel reconhecer o UTF-8.
+    function download(order, format) {
+        const content = format === 'csv' ? `\uFEFF${toCsv(order)}` : toJson(order);
+        const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = `${order.id}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    return { // Retorna as funções.
+        toJson,
+        toCsv,
+        download
+    };
+})();
+
+const ConfirmationRenderer = (() => { // Mostra a tela de confirmação depois que o pedido é feito.
+    // Troca o layout do checkout pela confirmação do pedido.
+    function render(order) {
+        const confirmation = document.querySelector('.confirmation');
+        confirmation.querySelector('.customerName').textContent = order.customer.name;
+        confirmation.querySelector('.orderId').textContent = order.id;
+        confirmation.querySelector('.orderDate').textContent = new Date(order.createdAt).toLocaleString(I18n.getLanguage());
+        confirmation.querySelector('.orderQuantity').textContent = order.totals.quantity;
+        confirmation.querySelector('.orderDiscount').textContent = `- ${Money.format(order.totals.discount)}`;
+        confirmation.querySelector('.orderShipping').textContent = order.totals.shipping === 0 ? I18n.t('checkout.free') : Money.format(order.totals.shipping);
+        confirmation.querySelector('.orderPrice').textContent = Money.format(order.totals.total);
+        
+        // Título e aviso conforme o status: pedidos feitos offline ainda serão enviados (ou não passaram na conferência do estoque).
+        confirmation.querySelectorAll('[data-status]').forEach(element => {
+            element.hidden = element.getAttribute('data-status') !== order.status;
+        });
+        
+        PaymentRenderer.render(order);
+        ReceiptRenderer.render(order);
+        document.querySelector('.checkoutLayout').hidden = true;
+        confirmation.hidden = false;
+    }
+    
+    return { // Retorna as funções.
+        render
+    };
+})();
+
+const CheckoutController = (() => { // Coordena o envio do pedido: validação, criação do pedido e confirmação.
+    let placedOrder = null;
+    
+    // Inicializa o formulário e o botão de checkout.
     function init() {
+        I18n.init();
+        I18n.subscribe(handleLanguageChange);
+        CheckoutForm.init();
+        PaymentForm.init();
+        PaymentRenderer.init();
+        OrderQueue.subscribe(handleQueuedOrder);
+        document.getElementById('lugar').addEventListener('change', updateDestination);
+        document.getElementById('cep').addEventListener('input', updateDestination);
+        document.querySelector('.applyCoupon').addEventListener('click', applyCoupon);
+        document.getElementById('cupom').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                applyCoupon();
+            }
+        });
+        document.querySelector('.buttonCheckout').addEventListener('click', submitOrder);
+        document.querySelector('.shareCart').addEventListener('click', shareCart);
+        document.querySelector('.receiptActions').addEventListener('click', handleReceiptAction);
+    }
+    
+    // Botões do recibo: imprimir (pelo diálogo do navegador, com o print.css) e baixar em JSON ou CSV.
+    function handleReceiptAction(e) {
+        const action = e.target.getAttribute('data-action');
+        if (!placedOrder || !action) return;
+        
+        if (action === 'print') {
+            window.print();
+        } else {
+            OrderExport.download(placedOrder, action);
+        }
+    }
+    
+    // Copia o link do carrinho, que abre direto no checkout.
+    async function shareCart() {
+        const status = document.querySelector('.shareStatus');
+        status.textContent = '';
+        if (await CartShare.copyLink('checkout.html')) {
+            status.textContent = I18n.t('share.copied');
+        }
+    }
+    
+    // Atualiza frete e moeda conforme o lugar e o CEP.
+    // Para quem compra do exterior, os valores também aparecem em dólar (a cobrança continua em reais).
+    function updateDestination() {
+        const { lugar, cep } = CheckoutForm.getValues();
+        document.querySelector('.cepGroup').hidden = lugar !== 'brasil';
+        Money.setDisplayCurrency(lugar === 'exterior' ? 'USD' : 'BRL');
+        CartService.setDestination({ location: lugar, cep });
+        CartController.refreshCart();
+        if (!Shipping.isLoaded()) {
+            reloadShipping();
+        }
+    }
+    
+    // Tenta de novo carregar a tabela de frete (quando falhou ao abrir a página) e atualiza os totais.
+    async function reloadShipping() {
+        try {
+            await Shipping.load();
+        } catch (error) {
+            console.error('Error loading shipping rates:', error);
+            return;
+        }
+        CartController.refreshCart();
+    }
+    
+    // Traduz o que foi montado pelo JavaScript: carrinho, erros do formulário e confirmação.
+    function handleLanguageChange() {
+        CartController.refreshCart();
+        CheckoutForm.refreshErrors();
+        PaymentForm.refreshErrors();
+        document.querySelector('.checkoutError').textContent = '';
+        if (placedOrder) {
+            ConfirmationRenderer.render(placedOrder);
+        }
+    }
+    
+    // Atualiza a confirmação quando o pedido feito offline é enviado.
+    function handleQueuedOrder(order) {
+        if (placedOrder && placedOrder.id === order.id) {
+            placedOrder = order;
+            ConfirmationRenderer.render(placedOrder);
+        }
+    }
+    
+    // Aplica o cupom digitado. Cupons inválidos ou expirados mostram o motivo abaixo do campo.
+    // Se as promoções não carregaram ao abrir a página, tenta carregar de novo antes.
+    async function applyCoupon() {
+        CartService.setCoupon(document.getElementById('cupom').value);
+        if (!Promotions.isLoaded()) {
+            try {
+                await Promotions.load();
+            } catch (error) {
+                console.error('Error loading promotions:', error);
+            }
+        }
+        CartController.refreshCart();
+    }
+    
+    // Confere de novo o estoque com o catálogo atualizado. Retorna as mensagens dos itens indisponíveis.
+    async function checkStock() {
+        try {
+            await Catalog.reload();
+        } catch (error) {
+            return [I18n.t('checkout.stockCheckFailed')];
+        }
+        return Catalog.checkAvailability(CartService.getLineItems()).map(issue => issue.message);
+    }
+    
+    // Cobra o pedido no PaymentProcessor. Retorna o pagamento aprovado (ou pendente, no Pix e no boleto)
+    // ou null depois de mostrar o motivo quando o cartão é recusado ou a cobrança falha.
+    async function charge(payment, orderId, amount) {
+        const checkoutError = document.querySelector('.checkoutError');
+        try {
+            const { method, ...card } = payment;
+            const result = await PaymentProcessor.charge({ method, amount, orderId, card });
+            if (result.status !== 'declined') return result;
+            checkoutError.textContent = I18n.t('payment.declined');
+        } catch (error) {
+            console.error('Error charging order:', error);
+            checkoutError.textContent = I18n.t('payment.failed');
+        }
+        return null;
+    }
+    
+    // Valida o formulário e o pagamento e, se estiver tudo certo, cobra e finaliza o pedido.
+    async function submitOrder() {
+        const checkoutError = document.querySelector('.checkoutError');
+        checkoutError.textContent = '';
+        
+        const values = CheckoutForm.getValues();
+        const errors = CheckoutForm.validate(values);
+        CheckoutForm.showErrors(errors);
+        const payment = PaymentForm.getValues();
+        const paymentErrors = PaymentForm.validate(payment);
+        PaymentForm.showErrors(paymentErrors);
+        if (Object.keys(errors).length > 0 || Object.keys(paymentErrors).length > 0) return;
+        
+        const totals = CartService.calculateTotals();
+        if (totals.quantity === 0) {
+            checkoutError.textContent = I18n.t('checkout.emptyCart');
+            return;
+        }
+        // Sem as promoções, o pedido sairia sem os descontos automáticos (como o leve 3, pague 2).
+        if (totals.promotionsUnavailable) {
+            checkoutError.textContent = I18n.t('coupon.unavailable');
+            return;
+        }
+        if (totals.couponError) {
+            checkoutError.textContent = I18n.t('checkout.fixCoupon');
+            return;
+        }
+        // Sem frete calculado (a tabela não carregou) o pedido sairia com o frete zerado.
+        if (totals.shipping === null) {
+            checkoutError.textContent = I18n.t('checkout.shippingUnavailable');
+            reloadShipping();
+            return;
+        }
+        
+        const offline = !Connectivity.isOnline();
+        // O cartão precisa ser autorizado na hora. Pix e boleto são gerados no aparelho e pagos depois.
+        if (offline && payment.method === 'card') {
+            checkoutError.textContent = I18n.t('payment.cardOffline');
+            return;
+        }
+        
+        // Desabilita o botão enquanto confere o estoque e cobra, para não enviar o pedido duas vezes.
+        // Sem conexão não dá para conferir o estoque: o pedido vai para a fila e é conferido quando a conexão voltar.
+        const button = document.querySelector('.buttonCheckout');
+        button.disabled = true;
+        const stockErrors = offline ? [] : await checkStock();
+        if (stockErrors.length > 0) {
+            button.disabled = false;
+            checkoutError.textContent = stockErrors.join(' ');
+            return;
+        }
+        
+        // A conferência do estoque recarrega o catálogo: se os preços mudaram, o cliente confere o novo total antes de pagar.
+        // Os mesmos totais vão para a cobrança e para o pedido.
+        const finalTotals = CartService.calculateTotals();
+        if (finalTotals.total !== totals.total) {
+            button.disabled = false;
+            CartController.refreshCart();
+            checkoutError.textContent = I18n.t('checkout.totalChanged');
+            return;
+        }
+        
+        const orderId = OrderService.generateOrderId();
+        const result = await charge(payment, orderId, finalTotals.total);
+        button.disabled = false;
+        if (!result) return;
+        
+        placedOrder = OrderService.placeOrder(values, { id: orderId, payment: result, totals: finalTotals, offline });
+        if (!offline) {
+            Analytics.track('order_submit', {
+                orderId: placedOrder.id,
+                total: placedOrder.totals.total,
+                items: placedOrder.items.map(item => ({ productId: item.id, quantity: item.quantity, unitPrice: item.unitPrice }))
+            });
+        }
+        ConfirmationRenderer.render(placedOrder);
+    }
+    
+    return { // Retorna as funções.
+        init
+    };
+})();
+
+const CartController = (() => { // Serve para coordenar a interação entre serviço e renderização.
+    let catalogFailed = false;
+    
+    // Inicializa o carrinho depois de carregar o catálogo, de onde vêm os preços.
+    async function init() {
         CartRenderer.init();
-        refreshCart();
+        try {
+            await Shipping.load();
+        } catch (error) {
+            console.error('Error loading shipping rates:', error);
+        }
+        try {
+            await Promotions.load();
+        } catch (error) {
+            console.error('Error loading promotions:', error);
+        }
+        Cart.subscribe(handleCartChange);
+        document.querySelector('.returnCart .list').addEventListener('click', (e) => {
+            if (e.target.classList.contains('retry')) {
+                e.target.disabled = true;
+                loadCart();
+            }
+        });
+        await loadCart();
     }
     
-    // Atualiza o carrinho (carrega dados e renderiza).
+    // Carrega o catálogo e, com ele, o carrinho. Sem o catálogo o carrinho não é carregado:
+    // os itens seriam descartados como se tivessem saído do catálogo.
+    async function loadCart() {
+        try {
+            await Catalog.load();
+        } catch (error) {
+            console.error('Error loading products:', error);
+            catalogFailed = true;
+            CartRenderer.renderLoadError();
+            return;
+        }
+        catalogFailed = false;
+        Cart.load();
+        SharedCartUI.init();
+        
+        const totals = Cart.totals();
+        Analytics.track('checkout_open', { quantity: totals.quantity, subtotal: totals.subtotal });
+    }
+    
+    // Redesenha o carrinho a cada mudança (inclusive as feitas em outras abas).
+    function handleCartChange(event) {
+        CartRenderer.renderCart(event.items);
+        if (event.type === 'load') {
+            CartRenderer.renderNotice(event.removed.length);
+        }
+    }
+    
+    // Redesenha o carrinho quando mudam frete ou cupom, que não alteram os itens.
     function refreshCart() {
-        const cartItems = CartService.loadCart();
-        CartRenderer.renderCart(cartItems);
+        if (catalogFailed) {
+            CartRenderer.renderLoadError();
+            return;
+        }
+        CartRenderer.renderCart(CartService.getCartItems());
     }
     
     return { // Retorna as funções.
@@ -139,4 +1018,5 @@ const CartController = (() => { // Serve para coordenar a interação entre serv
 // Inicializa a aplicação.
 document.addEventListener('DOMContentLoaded', () => {
     CartController.init();
+    CheckoutController.init();
 });
\ No newline at end of file
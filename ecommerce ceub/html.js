@@ -0,0 +1,72 @@
+const Html = (() => { // Monta HTML a partir de templates escapando os dados. Nome, descrição e imagem de um produto nunca viram HTML de verdade.
+    // Protocolos aceitos nas URLs de imagens. Caminhos relativos (images/1.webp) também valem.
+    const SAFE_PROTOCOLS = ['http:', 'https:'];
+    const SAFE_DATA_URL = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/=]+$/i;
+
+    const ENTITIES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    // Marca dos trechos de HTML já montados (e escapados), que entram em outro template sem escapar de novo.
+    const SAFE = Symbol('safeHtml');
+
+    function safe(value) {
+        return { [SAFE]: true, value, toString: () => value };
+    }
+
+    // Escapa um texto para uso no conteúdo ou em atributos entre aspas.
+    function escape(value) {
+        return String(value).replace(/[&<>"'`]/g, char => ENTITIES[char]);
+    }
+
+    // Valida a URL de uma imagem. Retorna a URL ou '' quando ela usa um protocolo perigoso (javascript:, data: que não é imagem...).
+    // Espaços e caracteres de controle são ignorados na checagem, como o navegador faz ("java script:").
+    function url(value) {
+        if (typeof value !== 'string') return '';
+        const trimmed = value.trim();
+        const scheme = trimmed.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) return trimmed;
+
+        const protocol = `${scheme[1].toLowerCase()}:`;
+        if (SAFE_PROTOCOLS.includes(protocol)) return trimmed;
+        if (protocol === 'data:' && SAFE_DATA_URL.test(trimmed)) return trimmed;
+        return '';
+    }
+
+    // Converte um valor interpolado: listas são juntadas, trechos seguros entram como estão e o resto é escapado.
+    function toHtml(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(toHtml).join('');
+        if (value[SAFE]) return value.value;
+        return escape(value);
+    }
+
+    // Tag de template: html`<div>${product.name}</div>` escapa product.name.
+    function template(strings, ...values) {
+        return safe(strings.reduce((result, string, index) =>
+            result + string + (index < values.length ? toHtml(values[index]) : ''), ''));
+    }
+
+    // Marca um HTML fixo, escrito no código, como seguro. Nunca use com dados do usuário ou do catálogo.
+    function raw(value) {
+        return safe(String(value));
+    }
+
+    // Substitui o conteúdo de um elemento por um template.
+    function render(element, content) {
+        element.innerHTML = toHtml(content);
+    }
+
+    return {
+        escape,
+        url,
+        template,
+        raw,
+        render
+    };
+})();
@@ -0,0 +1,271 @@
+const HtmlSafetyTest = (() => { // Teste de XSS do Html (escape, template e url) e das telas que mostram dados do catálogo e dos pedidos.
+    // Textos maliciosos usados como nome, descrição e dados do cliente. Se um handler rodar, ele chama top.xssHit.
+    const PAYLOADS = {
+        tag: '<img src=x onerror="top.xssHit(\'tag\')">',
+        closingTag: '"><img src=x onerror="top.xssHit(\'closingTag\')">',
+        doubleQuote: '" onmouseover="top.xssHit(\'doubleQuote\')" data-x="',
+        singleQuote: "' onfocus='top.xssHit(\"singleQuote\")' autofocus data-x='"
+    };
+
+    // URLs que o Html.url precisa recusar: javascript: com maiúsculas, espaços e caracteres de controle, e data: que não é imagem.
+    const UNSAFE_URLS = [
+        'javascript:top.xssHit("url")',
+        ' JaVaScRiPt:top.xssHit("url")',
+        'java\tscript:top.xssHit("url")',
+        'java\nscript:top.xssHit("url")',
+        '\u0001javascript:top.xssHit("url")',
+        'vbscript:top.xssHit("url")',
+        'data:text/html;base64,PHNjcmlwdD50b3AueHNzSGl0KCJ1cmwiKTwvc2NyaXB0Pg==',
+        'DATA:text/html,<script>top.xssHit("url")</script>',
+        'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9InRvcC54c3NIaXQoJ3VybCcpIi8+',
+        'data:image/png;base64,iVBO"><img src=x onerror="top.xssHit(\'url\')">'
+    ];
+    const SAFE_URLS = ['images/1.webp', 'https://example.com/1.webp', 'data:image/png;base64,iVBORw0KGgo='];
+
+    // Catálogo servido no lugar do product.json. As imagens dele são válidas; as URLs perigosas vão nos pedidos.
+    const PRODUCTS = [
+        { id: 1, name: PAYLOADS.tag, price: 50, image: 'images/1.webp', description: PAYLOADS.doubleQuote },
+        { id: 2, name: PAYLOADS.closingTag, price: 60, image: 'images/2.webp', description: PAYLOADS.singleQuote },
+        { id: 3, name: PAYLOADS.doubleQuote, price: 70, image: 'images/3.webp', description: PAYLOADS.tag },
+        { id: 4, name: PAYLOADS.singleQuote, price: 80, image: 'images/4.webp', description: PAYLOADS.closingTag }
+    ];
+
+    // Pedido salvo com os mesmos textos, inclusive no id (que vai no atributo data-id), e um item para cada URL perigosa.
+    const ORDER = {
+        id: PAYLOADS.doubleQuote,
+        createdAt: '2026-01-01T12:00:00.000Z',
+        status: 'pending',
+        customer: { name: PAYLOADS.tag, phone: PAYLOADS.doubleQuote, email: PAYLOADS.singleQuote, location: PAYLOADS.closingTag },
+        currency: 'BRL',
+        items: UNSAFE_URLS.map(image => ({ id: 1, name: PAYLOADS.closingTag, image, unitPrice: 5000, quantity: 1 })),
+        totals: {
+            quantity: UNSAFE_URLS.length,
+            subtotal: UNSAFE_URLS.length * 5000,
+            discount: 0,
+            shipping: 0,
+            total: UNSAFE_URLS.length * 5000
+        }
+    };
+
+    // Páginas testadas, cada uma num iframe, uma depois da outra.
+    const PAGES = ['index.html', 'checkout.html', 'orders.html'];
+    const names = PRODUCTS.map(product => product.name);
+
+    // Carrega um script e espera ele rodar.
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            document.body.appendChild(script);
+        });
+    }
+
+    // Espera a condição ficar verdadeira. Retorna false se o tempo acabar.
+    function waitFor(condition, timeout = 5000) {
+        const start = Date.now();
+        return new Promise(resolve => {
+            (function poll() {
+                if (condition()) return resolve(true);
+                if (Date.now() - start > timeout) return resolve(false);
+                setTimeout(poll, 50);
+            })();
+        });
+    }
+
+    // URL que o navegador executaria ou abriria como documento. Ignora espaços e caracteres de controle, como o navegador.
+    function isUnsafeUrl(value) {
+        const compact = value.replace(/[\u0000- ]/g, '').toLowerCase();
+        return /^(?:javascript|vbscript):/.test(compact) || (compact.startsWith('data:') && !/^data:image\/(?!svg)/.test(compact));
+    }
+
+    // Procura HTML injetado: atributos de evento (onerror, onmouseover...), autofocus e URLs perigosas em src ou href.
+    function findInjected(root) {
+        return [...root.querySelectorAll('*')].flatMap(element => [...element.attributes]
+            .filter(attribute => /^on/i.test(attribute.name) || attribute.name === 'autofocus' ||
+                (['src', 'href'].includes(attribute.name) && isUnsafeUrl(attribute.value)))
+            .map(attribute => `<${element.tagName.toLowerCase()} ${attribute.name}="${attribute.value}">`));
+    }
+
+    // O elemento mostra todos os textos como texto (e não como HTML).
+    function showsText(element, texts) {
+        return Boolean(element) && texts.every(text => element.textContent.includes(text));
+    }
+
+    // Testes do próprio Html, sem as telas.
+    function checkHtml(check) {
+        const html = Html.template;
+
+        check('Html.escape escapa & < > " \' `', Html.escape('&<>"\'`') === '&amp;&lt;&gt;&quot;&#39;&#96;');
+
+        Object.entries(PAYLOADS).forEach(([name, payload]) => {
+            const box = document.createElement('div');
+            Html.render(box, html`<p title="${payload}" data-value='${payload}'>${payload}</p>`);
+            const paragraph = box.firstElementChild;
+            check(`Html.template mantém o texto ${name} como texto, no conteúdo e nos atributos`,
+                box.children.length === 1 && paragraph.children.length === 0 && paragraph.textContent === payload &&
+                paragraph.title === payload && paragraph.dataset.value === payload && findInjected(box).length === 0);
+        });
+
+        const list = document.createElement('div');
+        Html.render(list, html`<ul>${names.map(name => html`<li>${name}</li>`)}</ul>`);
+        check('Html.template junta templates aninhados sem escapar de novo e escapa os dados deles',
+            list.querySelectorAll('li').length === names.length && list.querySelectorAll('img').length === 0 &&
+            [...list.querySelectorAll('li')].every((item, index) => item.textContent === names[index]));
+
+        UNSAFE_URLS.forEach(url => check(`Html.url recusa ${JSON.stringify(url)}`, Html.url(url) === ''));
+        SAFE_URLS.forEach(url => check(`Html.url aceita ${url}`, Html.url(url) === url));
+    }
+
+    // Passos de cada página, depois que os scripts dela rodaram.
+    const SCENARIOS = {
+        async 'index.html'(check) {
+            check('lista de produtos mostra os nomes como texto',
+                await waitFor(() => showsText(document.querySelector('.listProduct'), names)));
+            check('carrinho mostra os nomes como texto', showsText(document.querySelector('.listCart'), names));
+            check('favoritos mostram os nomes como texto', showsText(document.querySelector('.listWishlist'), names));
+
+            window.location.hash = '#/product/1';
+            check('página do produto mostra nome e descrição como texto',
+                await waitFor(() => showsText(document.querySelector('.productDetail'), [PRODUCTS[0].name, PRODUCTS[0].description])));
+        },
+        async 'checkout.html'(check) {
+            check('carrinho do checkout mostra os nomes como texto',
+                await waitFor(() => showsText(document.querySelector('.list'), names)));
+        },
+        async 'orders.html'(check) {
+            check('lista de pedidos mostra o pedido', await waitFor(() => document.querySelector('.orderList .order')));
+            document.querySelector('.orderList .order').click();
+            const detail = document.querySelector('.orderDetail');
+            check('detalhe do pedido mostra cliente e itens como texto',
+                showsText(detail, [ORDER.customer.name, ORDER.customer.email, ORDER.customer.phone, ORDER.items[0].name]));
+            check('detalhe do pedido não usa nenhuma URL de imagem perigosa',
+                [...detail.querySelectorAll('img')].every(image => image.getAttribute('src') === ''));
+            check('botão "comprar novamente" guarda o id inteiro no data-id',
+                detail.querySelector('.buyAgain').getAttribute('data-id') === ORDER.id);
+        }
+    };
+
+    // Grava o carrinho, os favoritos e o pedido maliciosos. O localStorage original é restaurado por run().
+    function seedStorage() {
+        const ids = PRODUCTS.map(product => product.id);
+        localStorage.clear();
+        localStorage.setItem('listCart', JSON.stringify({
+            version: 2,
+            expiresAt: Date.now() + 60 * 60 * 1000,
+            items: ids.map(productId => ({ productId, quantity: 1 }))
+        }));
+        localStorage.setItem('wishlist', JSON.stringify({ version: 1, productIds: ids }));
+        localStorage.setItem('orders', JSON.stringify([ORDER]));
+    }
+
+    // Responde o product.json com o catálogo malicioso. As outras requisições vão para a rede.
+    function stubCatalog() {
+        const networkFetch = window.fetch.bind(window);
+        window.fetch = (url, options) => (String(url).split('?')[0].endsWith('product.json')
+            ? Promise.resolve(new Response(JSON.stringify(PRODUCTS), { headers: { 'Content-Type': 'application/json' } }))
+            : networkFetch(url, options));
+    }
+
+    // Dentro do iframe: monta a página (o HTML dela sem os scripts), roda os scripts na ordem e os passos do cenário,
+    // e manda o resultado para a página do teste.
+    async function runPage(page) {
+        const checks = [];
+        const check = (name, passed) => checks.push({ name: `${page}: ${name}`, passed: Boolean(passed) });
+
+        try {
+            seedStorage();
+            stubCatalog();
+            const source = new DOMParser().parseFromString(await (await fetch(page)).text(), 'text/html');
+            document.body.innerHTML = '';
+            [...source.body.children]
+                .filter(element => element.tagName !== 'SCRIPT')
+                .forEach(element => document.body.appendChild(document.importNode(element, true)));
+            for (const script of source.querySelectorAll('script[src]')) {
+                await loadScript(script.getAttribute('src'));
+            }
+            document.dispatchEvent(new Event('DOMContentLoaded'));
+
+            await SCENARIOS[page](check);
+            // Dá tempo para um onerror de imagem disparar antes de procurar o HTML injetado
+            await new Promise(resolve => setTimeout(resolve, 300));
+            const injected = findInjected(document);
+            check(`nenhum HTML injetado${injected.length ? `: ${injected.join(', ')}` : ''}`, injected.length === 0);
+        } catch (error) {
+            check(`erro: ${error.message}`, false);
+        }
+        window.parent.postMessage({ page, checks }, window.location.origin);
+    }
+
+    // Carrega uma página no iframe e espera o resultado dela.
+    function runFrame(page) {
+        return new Promise(resolve => {
+            const frame = document.createElement('iframe');
+            const timer = setTimeout(() => finish([{ name: `${page}: a página não respondeu`, passed: false }]), 20000);
+
+            function finish(checks) {
+                clearTimeout(timer);
+                window.removeEventListener('message', handleMessage);
+                frame.remove();
+                resolve(checks);
+            }
+
+            function handleMessage(e) {
+                if (e.data && e.data.page === page) {
+                    finish(e.data.checks);
+                }
+            }
+
+            window.addEventListener('message', handleMessage);
+            frame.src = `htmlSafety.test.html?page=${encodeURIComponent(page)}`;
+            document.body.appendChild(frame);
+        });
+    }
+
+    // Mostra o resultado no resumo da página: a contagem e, abaixo, cada teste.
+    function report(checks) {
+        const failed = checks.filter(result => !result.passed);
+        Html.render(document.querySelector('.summary'), Html.template`
+            <p>${failed.length === 0
+                ? `Todos os ${checks.length} testes passaram.`
+                : `${failed.length} de ${checks.length} testes falharam.`}</p>
+            <ul>${checks.map(result => Html.template`<li>${result.passed ? 'ok' : 'FALHOU'} - ${result.name}</li>`)}</ul>`);
+    }
+
+    // Página do teste: testa o Html e depois cada página. O localStorage da loja é guardado antes e restaurado no fim.
+    async function run() {
+        const checks = [];
+        const check = (name, passed) => checks.push({ name, passed: Boolean(passed) });
+        const hits = [];
+        window.xssHit = source => hits.push(source);
+
+        await loadScript('html.js');
+        checkHtml(check);
+
+        const saved = Object.keys(localStorage).map(key => [key, localStorage.getItem(key)]);
+        try {
+            for (const page of PAGES) {
+                checks.push(...await runFrame(page));
+            }
+        } finally {
+            localStorage.clear();
+            saved.forEach(([key, value]) => localStorage.setItem(key, value));
+        }
+
+        check(`nenhum dado malicioso executou código${hits.length ? ` (${hits.join(', ')})` : ''}`, hits.length === 0);
+        report(checks);
+    }
+
+    return { // Retorna as funções.
+        run,
+        runPage
+    };
+})();
+
+const testedPage = new URLSearchParams(window.location.search).get('page');
+if (testedPage) {
+    HtmlSafetyTest.runPage(testedPage);
+} else {
+    HtmlSafetyTest.run();
+}
@@ -0,0 +1,83 @@
+const I18n = (() => { // Tradução da interface. O idioma escolhido fica salvo no localStorage e vale para todas as páginas.
+    const STORAGE_KEY = 'language';
+    const DEFAULT_LANGUAGE = 'pt-BR';
+    const listeners = [];
+
+    let language = Messages[localStorage.getItem(STORAGE_KEY)] ? localStorage.getItem(STORAGE_KEY) : DEFAULT_LANGUAGE;
+
+    // Idioma atual (também usado como locale de datas).
+    function getLanguage() {
+        return language;
+    }
+
+    // Traduz uma chave, substituindo {parametro} pelos valores. Chaves que faltam caem no português e depois na própria chave.
+    function t(key, params = {}) {
+        const message = Messages[language][key] ?? Messages[DEFAULT_LANGUAGE][key] ?? key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Traduz uma chave com plural (.one / .other) conforme `count`.
+    function plural(key, count, params = {}) {
+        return t(`${key}.${count === 1 ? 'one' : 'other'}`, { count, ...params });
+    }
+
+    // Aplica a tradução de um objeto de dados (produto, regra de promoção, região de frete).
+    // Os textos traduzidos ficam em `translations`, por idioma: { "translations": { "en": { "name": "..." } } }.
+    function localize(object) {
+        const translation = (object.translations || {})[language];
+        return translation ? { ...object, ...translation } : object;
+    }
+
+    // Traduz os elementos marcados no HTML:
+    // data-i18n (texto), data-i18n-placeholder, data-i18n-alt e data-i18n-aria-label.
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.getAttribute('data-i18n'));
+        });
+        [['placeholder', 'placeholder'], ['alt', 'alt'], ['aria-label', 'aria-label']].forEach(([suffix, attribute]) => {
+            root.querySelectorAll(`[data-i18n-${suffix}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${suffix}`)));
+            });
+        });
+        document.documentElement.lang = language;
+    }
+
+    // Registra um listener chamado quando o idioma muda, para as telas se redesenharem.
+    function subscribe(listener) {
+        listeners.push(listener);
+    }
+
+    // Troca o idioma, salva a escolha e traduz a página.
+    function setLanguage(newLanguage) {
+        if (!Messages[newLanguage] || newLanguage === language) return;
+
+        language = newLanguage;
+        localStorage.setItem(STORAGE_KEY, language);
+        translatePage();
+        listeners.forEach(listener => listener(language));
+    }
+
+    // Traduz a página e liga os seletores de idioma (.languageSwitcher).
+    function init() {
+        document.querySelectorAll('.languageSwitcher').forEach(select => {
+            select.value = language;
+            select.addEventListener('change', () => {
+                setLanguage(select.value);
+                document.querySelectorAll('.languageSwitcher').forEach(other => {
+                    other.value = language;
+                });
+            });
+        });
+        translatePage();
+    }
+
+    return {
+        init,
+        t,
+        plural,
+        localize,
+        getLanguage,
+        setLanguage,
+        subscribe
+    };
+})();
@@ -0,0 +1,536 @@
+const Messages = { // Catálogos de mensagens da interface. As chaves são as mesmas em todos os idiomas; {nome} é substituído pelo parâmetro.
+    'pt-BR': {
+        'page.title': 'Pelucias fofinhas',
+        'page.checkoutTitle': 'Checkout',
+        'page.ordersTitle': 'Meus Pedidos',
+        'page.reportTitle': 'Relatório da loja',
+        'page.adminTitle': 'Editor do catálogo',
+        'header.products': 'LISTA DE PRODUTOS',
+        'header.orders': 'MEUS PEDIDOS',
+        'header.report': 'RELATÓRIO DA LOJA',
+        'header.admin': 'EDITOR DO CATÁLOGO',
+        'nav.orders': 'Meus Pedidos',
+        'nav.continueShopping': 'Continuar Comprando',
+        'nav.backToStore': 'Voltar para a loja',
+        'language.label': 'Idioma',
+        'cart.open': 'Abrir carrinho',
+        'cart.title': 'CARRINHO',
+        'cart.close': 'FECHAR',
+        'cart.checkout': 'CHECKOUT',
+        'cart.unavailable.one': 'Um produto não está mais disponível e foi removido do carrinho.',
+        'cart.unavailable.other': '{count} produtos não estão mais disponíveis e foram removidos do carrinho.',
+        'cart.limit': 'Só é possível levar {limit} {units} de {name} por pedido.',
+        'cart.unit.one': 'unidade',
+        'cart.unit.other': 'unidades',
+        'cart.soldOut': '{name} está esgotado.',
+        'cart.itemUnavailable': 'Um produto do carrinho não está mais disponível.',
+        'cart.decrease': 'Diminuir a quantidade de {name}',
+        'cart.increase': 'Aumentar a quantidade de {name}',
+        'cart.quantityChanged.one': '{name}: {count} unidade no carrinho.',
+        'cart.quantityChanged.other': '{name}: {count} unidades no carrinho.',
+        'cart.itemRemoved': '{name} foi removido do carrinho.',
+        'cart.remove': 'Remover',
+        'cart.removeItem': 'Remover {name} do carrinho',
+        'cart.clear': 'ESVAZIAR',
+        'toast.added.one': '{name} adicionado ao carrinho',
+        'toast.added.other': '{count} unidades de {name} adicionadas ao carrinho',
+        'toast.removed': '{name} removido do carrinho',
+        'toast.cleared': 'Carrinho esvaziado',
+        'toast.orderSent': 'Pedido {id} enviado',
+        'toast.orderUnavailable': 'Pedido {id} não foi enviado: item esgotado ou fora do catálogo',
+        'share.button': 'COMPARTILHAR',
+        'share.copied': 'Link do carrinho copiado',
+        'share.copyPrompt': 'Copie o link do carrinho:',
+        'share.title': 'Carrinho compartilhado',
+        'share.replace': 'Substituir meu carrinho',
+        'share.merge': 'Juntar com meu carrinho',
+        'share.add': 'Adicionar ao carrinho',
+        'share.ignore': 'Ignorar',
+        'share.imported': 'Pronto! Os itens do link estão no seu carrinho.',
+        'share.limited.one': '1 produto entrou com menos unidades por causa do estoque ou do limite por pedido.',
+        'share.limited.other': '{count} produtos entraram com menos unidades por causa do estoque ou do limite por pedido.',
+        'share.unknown.one': '1 produto do link não está mais no catálogo e foi ignorado.',
+        'share.unknown.other': '{count} produtos do link não estão mais no catálogo e foram ignorados.',
+        'share.noneAvailable': 'Nenhum produto deste link está no catálogo.',
+        'share.invalid': 'Este link de carrinho é inválido ou foi alterado.',
+        'toast.undo': 'Desfazer',
+        'wishlist.title': 'FAVORITOS',
+        'wishlist.open': 'Abrir favoritos',
+        'wishlist.empty': 'Nenhum produto salvo ainda.',
+        'wishlist.toggle': 'Salvar {name} nos favoritos',
+        'wishlist.saveForLater': 'Salvar para depois',
+        'wishlist.moveToCart': 'Mover para o carrinho',
+        'wishlist.remove': 'Remover',
+        'wishlist.removeItem': 'Remover {name} dos favoritos',
+        'wishlist.added': '{name} foi salvo nos favoritos.',
+        'wishlist.removed': '{name} saiu dos favoritos.',
+        'wishlist.savedForLater': '{name} foi salvo para depois.',
+        'wishlist.movedToCart': '{name} foi para o carrinho.',
+        'product.addToCart': 'Adicionar ao Carrinho',
+        'product.soldOut': 'Esgotado',
+        'product.empty': 'Nenhum produto encontrado.',
+        'product.showing': 'Mostrando {shown} de {total} produtos',
+        'product.loadMore': 'Carregar mais produtos',
+        'catalog.loadError': 'Não foi possível carregar os produtos.',
+        'catalog.offlineError': 'Você está offline, e os produtos ainda não estão guardados neste aparelho.',
+        'catalog.retry': 'Tentar novamente',
+        'product.backToList': 'Voltar para a lista',
+        'product.notFound': 'Produto não encontrado',
+        'filter.search': 'Buscar pelo nome...',
+        'filter.priceFrom': 'Preço de',
+        'filter.priceTo': 'até',
+        'filter.minPrice': 'R$ mín.',
+        'filter.maxPrice': 'R$ máx.',
+        'filter.sortDefault': 'Ordem padrão',
+        'filter.sortPriceAsc': 'Menor preço',
+        'filter.sortPriceDesc': 'Maior preço',
+        'filter.sortNameAsc': 'Nome (A-Z)',
+        'filter.sortNameDesc': 'Nome (Z-A)',
+        'checkout.cartTitle': 'Produtos no carrinho',
+        'checkout.title': 'Checkout',
+        'checkout.name': 'Nome Completo',
+        'checkout.phone': 'Telefone',
+        'checkout.email': 'E-mail',
+        'checkout.location': 'Lugar',
+        'checkout.chooseLocation': 'Escolha..',
+        'checkout.brazil': 'Brasil',
+        'checkout.abroad': 'Exterior',
+        'checkout.cep': 'CEP',
+        'checkout.coupon': 'Cupom de desconto',
+        'checkout.couponPlaceholder': 'Ex.: FOFURA10',
+        'checkout.applyCoupon': 'Aplicar',
+        'checkout.couponApplied': 'Cupom {code} aplicado.',
+        'checkout.totalQuantity': 'Quantidade Total',
+        'checkout.subtotal': 'Subtotal',
+        'checkout.discount': 'Desconto',
+        'checkout.shipping': 'Frete',
+        'checkout.shippingPending': 'A calcular',
+        'checkout.free': 'Grátis',
+        'checkout.totalPrice': 'Preço Total',
+        'checkout.submit': 'CHECKOUT',
+        'checkout.emptyCart': 'Seu carrinho está vazio.',
+        'checkout.fixCoupon': 'Corrija ou remova o cupom antes de finalizar o pedido.',
+        'checkout.stockCheckFailed': 'Não foi possível confirmar o estoque. Tente novamente.',
+        'checkout.shippingUnavailable': 'Frete indisponível no momento. Tente novamente.',
+        'checkout.totalChanged': 'Os preços foram atualizados e o total do pedido mudou. Confira o novo total e finalize de novo.',
+        'validation.nameRequired': 'Informe seu nome completo.',
+        'validation.nameTooShort': 'Nome muito curto.',
+        'validation.phoneRequired': 'Informe seu telefone.',
+        'validation.phoneInvalid': 'Telefone inválido. Use DDD + número, ex.: (61) 99999-9999.',
+        'validation.emailRequired': 'Informe seu e-mail.',
+        'validation.emailInvalid': 'E-mail inválido.',
+        'validation.locationRequired': 'Escolha um lugar.',
+        'validation.cepRequired': 'Informe seu CEP.',
+        'validation.cepInvalid': 'CEP inválido. Use o formato 00000-000.',
+        'validation.cepNotServed': 'Não entregamos neste CEP.',
+        'shipping.label': '{name} ({min} a {max} dias úteis)',
+        'shipping.unavailable': 'Frete indisponível no momento.',
+        'shipping.cepInvalid': 'Informe um CEP válido.',
+        'shipping.cepNotServed': 'CEP não atendido.',
+        'shipping.chooseLocation': 'Escolha um lugar.',
+        'coupon.required': 'Digite um cupom.',
+        'coupon.notFound': 'Cupom não encontrado.',
+        'coupon.unavailable': 'Promoções e cupons indisponíveis no momento. Tente novamente.',
+        'coupon.notStarted': 'Este cupom ainda não está valendo.',
+        'coupon.expired': 'Este cupom expirou.',
+        'coupon.minSubtotal': 'Este cupom exige compras a partir de {amount}.',
+        'coupon.notApplicable': 'Este cupom não se aplica aos produtos do carrinho.',
+        'confirmation.title': 'Pedido confirmado!',
+        'confirmation.thanks': 'Obrigado',
+        'confirmation.registered': 'Seu pedido foi registrado.',
+        'confirmation.orderNumber': 'Número do pedido',
+        'confirmation.date': 'Data',
+        'confirmation.pendingTitle': 'Pedido guardado!',
+        'confirmation.pending': 'Você está offline. O pedido será enviado assim que a conexão voltar, e o estoque será conferido nesse momento.',
+        'confirmation.unavailableTitle': 'Pedido não enviado',
+        'confirmation.unavailable': 'Ao enviar o pedido, algum item estava esgotado ou saiu do catálogo. Confira o pedido em Meus Pedidos e faça um novo.',
+        'receipt.title': 'Recibo',
+        'receipt.customer': 'Cliente',
+        'receipt.product': 'Produto',
+        'receipt.quantity': 'Qtd.',
+        'receipt.unitPrice': 'Preço unitário',
+        'receipt.lineTotal': 'Total',
+        'receipt.print': 'Imprimir',
+        'receipt.downloadJson': 'Baixar JSON',
+        'receipt.downloadCsv': 'Baixar CSV',
+        'payment.title': 'Pagamento',
+        'payment.pix': 'Pix',
+        'payment.boleto': 'Boleto bancário',
+        'payment.card': 'Cartão de crédito',
+        'payment.pixHint': 'O QR Code do Pix aparece depois de finalizar o pedido.',
+        'payment.boletoHint': 'A linha digitável do boleto aparece depois de finalizar o pedido. O boleto vence em 3 dias.',
+        'payment.cardNumber': 'Número do cartão',
+        'payment.cardName': 'Nome impresso no cartão',
+        'payment.cardExpiry': 'Validade',
+        'payment.cardExpiryPlaceholder': 'MM/AA',
+        'payment.cardCvv': 'CVV',
+        'payment.testNotice': 'Ambiente de teste: nenhum valor é cobrado. O cartão 4000 0000 0000 0002 é sempre recusado.',
+        'payment.cardNumberRequired': 'Informe o número do cartão.',
+        'payment.cardBrandUnsupported': 'Bandeira não aceita. Aceitamos Visa, Mastercard, Elo, Hipercard e American Express.',
+        'payment.cardNumberInvalid': 'Número do cartão inválido.',
+        'payment.cardNameRequired': 'Informe o nome impresso no cartão.',
+        'payment.cardExpiryRequired': 'Informe a validade do cartão.',
+        'payment.cardExpiryInvalid': 'Validade inválida. Use o formato MM/AA.',
+        'payment.cardExpired': 'Cartão vencido.',
+        'payment.cardCvvRequired': 'Informe o CVV.',
+        'payment.cardCvvInvalid': 'O CVV deste cartão tem {size} dígitos.',
+        'payment.cardOffline': 'O pagamento com cartão precisa de conexão. Escolha Pix ou boleto, ou tente de novo quando a conexão voltar.',
+        'payment.declined': 'Pagamento recusado pelo emissor do cartão. Confira os dados ou escolha outra forma de pagamento.',
+        'payment.failed': 'Não foi possível processar o pagamento. Tente novamente.',
+        'payment.pixTitle': 'Pague com Pix',
+        'payment.pixInstructions': 'Abra o app do seu banco, escolha pagar com Pix e leia o QR Code ou cole o código abaixo.',
+        'payment.pixQrLabel': 'QR Code do Pix',
+        'payment.pixCode': 'Pix copia e cola',
+        'payment.boletoTitle': 'Pague o boleto',
+        'payment.boletoInstructions': 'Pague no app ou no internet banking com a linha digitável até {date}.',
+        'payment.boletoLine': 'Linha digitável',
+        'payment.copy': 'Copiar código',
+        'payment.copied': 'Código copiado',
+        'payment.copyPrompt': 'Copie o código:',
+        'payment.cardApproved': 'Pagamento aprovado no cartão {brand} final {last4}.',
+        'payment.doNotPay': 'Este pedido não foi enviado. Não faça o pagamento.',
+        'payment.summary.pix': 'Pix (aguardando pagamento)',
+        'payment.summary.boleto': 'Boleto, vencimento {date}',
+        'payment.summary.card': 'Cartão {brand} final {last4} (aprovado)',
+        'orders.empty': 'Você ainda não fez nenhum pedido.',
+        'orders.browse': 'Ver produtos',
+        'orders.items.one': '{count} item',
+        'orders.items.other': '{count} itens',
+        'orders.order': 'Pedido {id}',
+        'orders.buyAgain': 'Comprar Novamente',
+        'orders.status.pending': 'Aguardando conexão para enviar',
+        'orders.status.unavailable': 'Não enviado: item esgotado ou fora do catálogo',
+        'orders.itemsUnavailable.one': 'Um item do pedido não está mais disponível e não foi para o carrinho.',
+        'orders.itemsUnavailable.other': '{count} itens do pedido não estão mais disponíveis e não foram para o carrinho.',
+        'offline.indicator': 'Você está offline. A loja mostra os dados guardados no aparelho.',
+        'report.funnelTitle': 'Funil de conversão',
+        'report.funnelHint': 'Sessões que chegaram a cada etapa (ou a uma etapa seguinte).',
+        'report.productsTitle': 'Produtos em destaque',
+        'report.clear': 'Apagar eventos',
+        'report.confirmClear': 'Apagar todos os eventos guardados neste navegador?',
+        'report.events': 'eventos',
+        'report.sessions': 'sessões',
+        'report.orders': 'pedidos',
+        'report.revenue': 'receita',
+        'report.step': 'Etapa',
+        'report.conversion': 'Conversão',
+        'report.step.product_view': 'Viu um produto',
+        'report.step.add_to_cart': 'Adicionou ao carrinho',
+        'report.step.checkout_open': 'Abriu o checkout',
+        'report.step.order_submit': 'Fez o pedido',
+        'report.product': 'Produto',
+        'report.views': 'Visualizações',
+        'report.addedUnits': 'Adicionados',
+        'report.orderedUnits': 'Vendidos',
+        'report.noData': 'Ainda não há eventos.',
+        'admin.productsTitle': 'Produtos',
+        'admin.new': 'Novo produto',
+        'admin.newTitle': 'Novo produto',
+        'admin.editTitle': 'Editar produto',
+        'admin.id': 'Id',
+        'admin.name': 'Nome',
+        'admin.price': 'Preço (R$)',
+        'admin.image': 'Imagem',
+        'admin.upload': 'Ou envie uma imagem:',
+        'admin.uploadedImage': 'Imagem enviada',
+        'admin.imageTooLarge': 'A imagem deve ter no máximo {size} KB.',
+        'admin.description': 'Descrição',
+        'admin.stock': 'Estoque (opcional)',
+        'admin.maxPerOrder': 'Limite por pedido (opcional)',
+        'admin.nameEn': 'Nome em inglês (opcional)',
+        'admin.descriptionEn': 'Descrição em inglês (opcional)',
+        'admin.save': 'Salvar',
+        'admin.cancel': 'Cancelar',
+        'admin.edit': 'Editar',
+        'admin.delete': 'Excluir',
+        'admin.moveUp': 'Mover {name} para cima',
+        'admin.moveDown': 'Mover {name} para baixo',
+        'admin.confirmDelete': 'Excluir {name} do catálogo?',
+        'admin.empty': 'O catálogo está vazio.',
+        'admin.loadError': 'Não foi possível carregar o product.json.',
+        'admin.exportTitle': 'Exportar',
+        'admin.valid': 'Catálogo válido, pronto para exportar.',
+        'admin.issue': 'Produto {position} (id {id}):',
+        'admin.download': 'Baixar product.json',
+        'admin.copy': 'Copiar JSON',
+        'admin.copied': 'JSON copiado.',
+        'admin.previewTitle': 'Prévia',
+        'schema.idInvalid': 'O id deve ser um número inteiro maior que zero.',
+        'schema.idDuplicated': 'O id {id} já é usado por outro produto.',
+        'schema.nameRequired': 'Informe o nome.',
+        'schema.priceInvalid': 'O preço deve ser maior que zero, com até duas casas decimais.',
+        'schema.imageInvalid': 'Escolha uma imagem da pasta images ou envie uma imagem.',
+        'schema.descriptionInvalid': 'A descrição deve ser um texto.',
+        'schema.stockInvalid': 'O estoque deve ser um número inteiro (zero ou mais).',
+        'schema.maxPerOrderInvalid': 'O limite por pedido deve ser um número inteiro maior que zero.',
+        'schema.notAList': 'O catálogo deve ser uma lista de produtos.',
+        'schema.notAProduct': 'Item inválido: não é um produto.'
+    },
+    en: {
+        'page.title': 'Cuddly plushies',
+        'page.checkoutTitle': 'Checkout',
+        'page.ordersTitle': 'My Orders',
+        'page.reportTitle': 'Store report',
+        'page.adminTitle': 'Catalog editor',
+        'header.products': 'PRODUCT LIST',
+        'header.orders': 'MY ORDERS',
+        'header.report': 'STORE REPORT',
+        'header.admin': 'CATALOG EDITOR',
+        'nav.orders': 'My Orders',
+        'nav.continueShopping': 'Continue Shopping',
+        'nav.backToStore': 'Back to the store',
+        'language.label': 'Language',
+        'cart.open': 'Open cart',
+        'cart.title': 'CART',
+        'cart.close': 'CLOSE',
+        'cart.checkout': 'CHECKOUT',
+        'cart.unavailable.one': 'A product is no longer available and was removed from the cart.',
+        'cart.unavailable.other': '{count} products are no longer available and were removed from the cart.',
+        'cart.limit': 'You can only buy {limit} {units} of {name} per order.',
+        'cart.unit.one': 'unit',
+        'cart.unit.other': 'units',
+        'cart.soldOut': '{name} is sold out.',
+        'cart.itemUnavailable': 'A product in the cart is no longer available.',
+        'cart.decrease': 'Decrease the quantity of {name}',
+        'cart.increase': 'Increase the quantity of {name}',
+        'cart.quantityChanged.one': '{name}: {count} unit in the cart.',
+        'cart.quantityChanged.other': '{name}: {count} units in the cart.',
+        'cart.itemRemoved': '{name} was removed from the cart.',
+        'cart.remove': 'Remove',
+        'cart.removeItem': 'Remove {name} from the cart',
+        'cart.clear': 'EMPTY CART',
+        'toast.added.one': '{name} added to the cart',
+        'toast.added.other': '{count} units of {name} added to the cart',
+        'toast.removed': '{name} removed from the cart',
+        'toast.cleared': 'Cart emptied',
+        'toast.orderSent': 'Order {id} sent',
+        'toast.orderUnavailable': 'Order {id} was not sent: item sold out or no longer in the catalog',
+        'share.button': 'SHARE',
+        'share.copied': 'Cart link copied',
+        'share.copyPrompt': 'Copy the cart link:',
+        'share.title': 'Shared cart',
+        'share.replace': 'Replace my cart',
+        'share.merge': 'Merge with my cart',
+        'share.add': 'Add to cart',
+        'share.ignore': 'Ignore',
+        'share.imported': 'Done! The items from the link are in your cart.',
+        'share.limited.one': '1 product was added with fewer units because of the stock or the limit per order.',
+        'share.limited.other': '{count} products were added with fewer units because of the stock or the limit per order.',
+        'share.unknown.one': '1 product from the link is no longer in the catalog and was ignored.',
+        'share.unknown.other': '{count} products from the link are no longer in the catalog and were ignored.',
+        'share.noneAvailable': 'None of the products in this link are in the catalog.',
+        'share.invalid': 'This cart link is invalid or was modified.',
+        'toast.undo': 'Undo',
+        'wishlist.title': 'WISHLIST',
+        'wishlist.open': 'Open wishlist',
+        'wishlist.empty': 'No saved products yet.',
+        'wishlist.toggle': 'Save {name} to the wishlist',
+        'wishlist.saveForLater': 'Save for later',
+        'wishlist.moveToCart': 'Move to cart',
+        'wishlist.remove': 'Remove',
+        'wishlist.removeItem': 'Remove {name} from the wishlist',
+        'wishlist.added': '{name} was saved to the wishlist.',
+        'wishlist.removed': '{name} was removed from the wishlist.',
+        'wishlist.savedForLater': '{name} was saved for later.',
+        'wishlist.movedToCart': '{name} was moved to the cart.',
+        'product.addToCart': 'Add to Cart',
+        'product.soldOut': 'Sold out',
+        'product.empty': 'No products found.',
+        'product.showing': 'Showing {shown} of {total} products',
+        'product.loadMore': 'Load more products',
+        'catalog.loadError': 'Could not load the products.',
+        'catalog.offlineError': 'You are offline, and the products are not saved on this device yet.',
+        'catalog.retry': 'Try again',
+        'product.backToList': 'Back to the list',
+        'product.notFound': 'Product not found',
+        'filter.search': 'Search by name...',
+        'filter.priceFrom': 'Price from',
+        'filter.priceTo': 'to',
+        'filter.minPrice': 'Min R$',
+        'filter.maxPrice': 'Max R$',
+        'filter.sortDefault': 'Default order',
+        'filter.sortPriceAsc': 'Lowest price',
+        'filter.sortPriceDesc': 'Highest price',
+        'filter.sortNameAsc': 'Name (A-Z)',
+        'filter.sortNameDesc': 'Name (Z-A)',
+        'checkout.cartTitle': 'Products in your cart',
+        'checkout.title': 'Checkout',
+        'checkout.name': 'Full Name',
+        'checkout.phone': 'Phone',
+        'checkout.email': 'E-mail',
+        'checkout.location': 'Location',
+        'checkout.chooseLocation': 'Choose..',
+        'checkout.brazil': 'Brazil',
+        'checkout.abroad': 'Abroad',
+        'checkout.cep': 'CEP (postal code)',
+        'checkout.coupon': 'Discount coupon',
+        'checkout.couponPlaceholder': 'E.g.: FOFURA10',
+        'checkout.applyCoupon': 'Apply',
+        'checkout.couponApplied': 'Coupon {code} applied.',
+        'checkout.totalQuantity': 'Total Quantity',
+        'checkout.subtotal': 'Subtotal',
+        'checkout.discount': 'Discount',
+        'checkout.shipping': 'Shipping',
+        'checkout.shippingPending': 'To be calculated',
+        'checkout.free': 'Free',
+        'checkout.totalPrice': 'Total Price',
+        'checkout.submit': 'CHECKOUT',
+        'checkout.emptyCart': 'Your cart is empty.',
+        'checkout.fixCoupon': 'Fix or remove the coupon before placing the order.',
+        'checkout.stockCheckFailed': 'We could not confirm the stock. Please try again.',
+        'checkout.shippingUnavailable': 'Shipping is unavailable right now. Please try again.',
+        'checkout.totalChanged': 'Prices were updated and the order total changed. Check the new total and place the order again.',
+        'validation.nameRequired': 'Enter your full name.',
+        'validation.nameTooShort': 'Name is too short.',
+        'validation.phoneRequired': 'Enter your phone number.',
+        'validation.phoneInvalid': 'Invalid phone number. Use area code + number, e.g.: (61) 99999-9999.',
+        'validation.emailRequired': 'Enter your e-mail.',
+        'validation.emailInvalid': 'Invalid e-mail.',
+        'validation.locationRequired': 'Choose a location.',
+        'validation.cepRequired': 'Enter your CEP.',
+        'validation.cepInvalid': 'Invalid CEP. Use the format 00000-000.',
+        'validation.cepNotServed': 'We do not deliver to this CEP.',
+        'shipping.label': '{name} ({min} to {max} business days)',
+        'shipping.unavailable': 'Shipping is unavailable right now.',
+        'shipping.cepInvalid': 'Enter a valid CEP.',
+        'shipping.cepNotServed': 'CEP not served.',
+        'shipping.chooseLocation': 'Choose a location.',
+        'coupon.required': 'Enter a coupon.',
+        'coupon.notFound': 'Coupon not found.',
+        'coupon.unavailable': 'Promotions and coupons are unavailable right now. Please try again.',
+        'coupon.notStarted': 'This coupon is not valid yet.',
+        'coupon.expired': 'This coupon has expired.',
+        'coupon.minSubtotal': 'This coupon requires a minimum purchase of {amount}.',
+        'coupon.notApplicable': 'This coupon does not apply to the products in your cart.',
+        'confirmation.title': 'Order confirmed!',
+        'confirmation.thanks': 'Thank you',
+        'confirmation.registered': 'Your order has been placed.',
+        'confirmation.orderNumber': 'Order number',
+        'confirmation.date': 'Date',
+        'confirmation.pendingTitle': 'Order saved!',
+        'confirmation.pending': 'You are offline. The order will be sent as soon as the connection is back, and the stock will be checked then.',
+        'confirmation.unavailableTitle': 'Order not sent',
+        'confirmation.unavailable': 'When the order was sent, an item was sold out or no longer in the catalog. Check the order in My Orders and place a new one.',
+        'receipt.title': 'Receipt',
+        'receipt.customer': 'Customer',
+        'receipt.product': 'Product',
+        'receipt.quantity': 'Qty.',
+        'receipt.unitPrice': 'Unit price',
+        'receipt.lineTotal': 'Total',
+        'receipt.print': 'Print',
+        'receipt.downloadJson': 'Download JSON',
+        'receipt.downloadCsv': 'Download CSV',
+        'payment.title': 'Payment',
+        'payment.pix': 'Pix',
+        'payment.boleto': 'Boleto (bank slip)',
+        'payment.card': 'Credit card',
+        'payment.pixHint': 'The Pix QR code is shown after you place the order.',
+        'payment.boletoHint': 'The boleto typeable line is shown after you place the order. The boleto is due in 3 days.',
+        'payment.cardNumber': 'Card number',
+        'payment.cardName': 'Name on card',
+        'payment.cardExpiry': 'Expiry date',
+        'payment.cardExpiryPlaceholder': 'MM/YY',
+        'payment.cardCvv': 'CVV',
+        'payment.testNotice': 'Test environment: no money is charged. The card 4000 0000 0000 0002 is always declined.',
+        'payment.cardNumberRequired': 'Enter the card number.',
+        'payment.cardBrandUnsupported': 'Card brand not accepted. We accept Visa, Mastercard, Elo, Hipercard and American Express.',
+        'payment.cardNumberInvalid': 'Invalid card number.',
+        'payment.cardNameRequired': 'Enter the name on the card.',
+        'payment.cardExpiryRequired': 'Enter the card expiry date.',
+        'payment.cardExpiryInvalid': 'Invalid expiry date. Use the MM/YY format.',
+        'payment.cardExpired': 'Card expired.',
+        'payment.cardCvvRequired': 'Enter the CVV.',
+        'payment.cardCvvInvalid': 'The CVV for this card has {size} digits.',
+        'payment.cardOffline': 'Card payments need a connection. Choose Pix or boleto, or try again when you are back online.',
+        'payment.declined': 'Payment declined by the card issuer. Check the details or choose another payment method.',
+        'payment.failed': 'We could not process the payment. Please try again.',
+        'payment.pixTitle': 'Pay with Pix',
+        'payment.pixInstructions': 'Open your banking app, choose to pay with Pix and scan the QR code or paste the code below.',
+        'payment.pixQrLabel': 'Pix QR code',
+        'payment.pixCode': 'Pix copy and paste code',
+        'payment.boletoTitle': 'Pay the boleto',
+        'payment.boletoInstructions': 'Pay in your banking app or internet banking with the typeable line by {date}.',
+        'payment.boletoLine': 'Typeable line',
+        'payment.copy': 'Copy code',
+        'payment.copied': 'Code copied',
+        'payment.copyPrompt': 'Copy the code:',
+        'payment.cardApproved': 'Payment approved on {brand} card ending in {last4}.',
+        'payment.doNotPay': 'This order was not sent. Do not make the payment.',
+        'payment.summary.pix': 'Pix (awaiting payment)',
+        'payment.summary.boleto': 'Boleto, due {date}',
+        'payment.summary.card': '{brand} card ending in {last4} (approved)',
+        'orders.empty': 'You have not placed any orders yet.',
+        'orders.browse': 'Browse products',
+        'orders.items.one': '{count} item',
+        'orders.items.other': '{count} items',
+        'orders.order': 'Order {id}',
+        'orders.buyAgain': 'Buy Again',
+        'orders.status.pending': 'Waiting for a connection to send',
+        'orders.status.unavailable': 'Not sent: item sold out or no longer in the catalog',
+        'orders.itemsUnavailable.one': 'An item from the order is no longer available and was not added to the cart.',
+        'orders.itemsUnavailable.other': '{count} items from the order are no longer available and were not added to the cart.',
+        'offline.indicator': 'You are offline. The store is showing the data saved on this device.',
+        'report.funnelTitle': 'Conversion funnel',
+        'report.funnelHint': 'Sessions that reached each step (or a later one).',
+        'report.productsTitle': 'Top products',
+        'report.clear': 'Delete events',
+        'report.confirmClear': 'Delete all events stored in this browser?',
+        'report.events': 'events',
+        'report.sessions': 'sessions',
+        'report.orders': 'orders',
+        'report.revenue': 'revenue',
+        'report.step': 'Step',
+        'report.conversion': 'Conversion',
+        'report.step.product_view': 'Viewed a product',
+        'report.step.add_to_cart': 'Added to cart',
+        'report.step.checkout_open': 'Opened checkout',
+        'report.step.order_submit': 'Placed an order',
+        'report.product': 'Product',
+        'report.views': 'Views',
+        'report.addedUnits': 'Added',
+        'report.orderedUnits': 'Sold',
+        'report.noData': 'No events yet.',
+        'admin.productsTitle': 'Products',
+        'admin.new': 'New product',
+        'admin.newTitle': 'New product',
+        'admin.editTitle': 'Edit product',
+        'admin.id': 'Id',
+        'admin.name': 'Name',
+        'admin.price': 'Price (R$)',
+        'admin.image': 'Image',
+        'admin.upload': 'Or upload an image:',
+        'admin.uploadedImage': 'Uploaded image',
+        'admin.imageTooLarge': 'The image must be at most {size} KB.',
+        'admin.description': 'Description',
+        'admin.stock': 'Stock (optional)',
+        'admin.maxPerOrder': 'Limit per order (optional)',
+        'admin.nameEn': 'English name (optional)',
+        'admin.descriptionEn': 'English description (optional)',
+        'admin.save': 'Save',
+        'admin.cancel': 'Cancel',
+        'admin.edit': 'Edit',
+        'admin.delete': 'Delete',
+        'admin.moveUp': 'Move {name} up',
+        'admin.moveDown': 'Move {name} down',
+        'admin.confirmDelete': 'Delete {name} from the catalog?',
+        'admin.empty': 'The catalog is empty.',
+        'admin.loadError': 'Could not load product.json.',
+        'admin.exportTitle': 'Export',
+        'admin.valid': 'Valid catalog, ready to export.',
+        'admin.issue': 'Product {position} (id {id}):',
+        'admin.download': 'Download product.json',
+        'admin.copy': 'Copy JSON',
+        'admin.copied': 'JSON copied.',
+        'admin.previewTitle': 'Preview',
+        'schema.idInvalid': 'The id must be a whole number greater than zero.',
+        'schema.idDuplicated': 'The id {id} is already used by another product.',
+        'schema.nameRequired': 'Enter the name.',
+        'schema.priceInvalid': 'The price must be greater than zero, with up to two decimal places.',
+        'schema.imageInvalid': 'Choose an image from the images folder or upload one.',
+        'schema.descriptionInvalid': 'The description must be text.',
+        'schema.stockInvalid': 'The stock must be a whole number (zero or more).',
+        'schema.maxPerOrderInvalid': 'The limit per order must be a whole number greater than zero.',
+        'schema.notAList': 'The catalog must be a list of products.',
+        'schema.notAProduct': 'Invalid item: not a product.'
+    }
+};
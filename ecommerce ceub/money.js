@@ -0,0 +1,78 @@
+const Money = (() => { // Valores monetários em centavos inteiros, para que as somas não acumulem erros de ponto flutuante.
+    const BASE_CURRENCY = 'BRL';
+
+    // Moedas alternativas que podem ser exibidas ao lado do real, com taxa de câmbio fixa (1 real = rate).
+    const currencies = {
+        USD: { locale: 'pt-BR', rate: 0.18 }
+    };
+
+    let displayCurrency = BASE_CURRENCY;
+    const formatters = {};
+
+    // Reaproveita os Intl.NumberFormat já criados.
+    function getFormatter(locale, currency) {
+        const key = `${locale}-${currency}`;
+        if (!formatters[key]) {
+            formatters[key] = new Intl.NumberFormat(locale, { style: 'currency', currency });
+        }
+        return formatters[key];
+    }
+
+    // Converte um valor em reais (como os preços do product.json) para centavos.
+    function toCents(amount) {
+        return Math.round(Number(amount) * 100);
+    }
+
+    // Multiplica um valor em centavos por uma quantidade.
+    function multiply(cents, quantity) {
+        return Math.round(cents * quantity);
+    }
+
+    // Soma uma lista de valores em centavos.
+    function sum(values) {
+        return values.reduce((total, cents) => total + cents, 0);
+    }
+
+    // Formata centavos em reais: 4990 -> "R$ 49,90".
+    function format(cents) {
+        return getFormatter('pt-BR', BASE_CURRENCY).format(cents / 100);
+    }
+
+    // Converte centavos de real para centavos da moeda alternativa.
+    function convert(cents, currency) {
+        return Math.round(cents * currencies[currency].rate);
+    }
+
+    // Formata em reais e, se outra moeda estiver escolhida, acrescenta o valor aproximado nela.
+    function formatDisplay(cents) {
+        const base = format(cents);
+        if (displayCurrency === BASE_CURRENCY) return base;
+
+        const { locale } = currencies[displayCurrency];
+        const converted = getFormatter(locale, displayCurrency).format(convert(cents, displayCurrency) / 100);
+        return `${base} (≈ ${converted})`;
+    }
+
+    // Escolhe a moeda alternativa exibida por formatDisplay. 'BRL' volta a mostrar só o real.
+    function setDisplayCurrency(currency) {
+        if (currency !== BASE_CURRENCY && !currencies[currency]) {
+            throw new Error(`Unknown currency: ${currency}`);
+        }
+        displayCurrency = currency;
+    }
+
+    // Altera (ou cadastra) a taxa de câmbio de uma moeda alternativa.
+    function setExchangeRate(currency, rate, locale = currencies[currency]?.locale || 'pt-BR') {
+        currencies[currency] = { locale, rate };
+    }
+
+    return {
+        toCents,
+        multiply,
+        sum,
+        format,
+        formatDisplay,
+        setDisplayCurrency,
+        setExchangeRate
+    };
+})();
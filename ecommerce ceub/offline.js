@@ -0,0 +1,53 @@
+const Connectivity = (() => { // Acompanha se o navegador está online, mostra o aviso de offline e registra o service worker (sw.js).
+    const listeners = [];
+
+    // Navegador está com conexão?
+    function isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    // Registra um listener chamado com true (voltou a conexão) ou false (caiu). Retorna a função que cancela o registro.
+    function subscribe(listener) {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    // Mostra o aviso de offline (.offlineIndicator) enquanto não houver conexão.
+    function updateIndicator() {
+        document.querySelectorAll('.offlineIndicator').forEach(indicator => {
+            indicator.hidden = isOnline();
+        });
+        document.body.classList.toggle('offline', !isOnline());
+    }
+
+    // Avisa a página e os listeners quando a conexão muda.
+    function handleChange() {
+        updateIndicator();
+        listeners.forEach(listener => listener(isOnline()));
+    }
+
+    // Registra o service worker, que guarda a loja no cache para funcionar offline.
+    // Só funciona em http(s); abrindo os arquivos direto do disco (file:) a loja segue sem cache.
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Error registering service worker:', error);
+        });
+    }
+
+    window.addEventListener('online', handleChange);
+    window.addEventListener('offline', handleChange);
+    updateIndicator();
+    registerServiceWorker();
+
+    return {
+        isOnline,
+        subscribe
+    };
+})();
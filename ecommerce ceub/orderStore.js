@@ -0,0 +1,197 @@
+const OrderStore = (() => { // Guarda os pedidos finalizados no localStorage, para que continuem disponíveis depois da compra.
+    const STORAGE_KEY = 'orders';
+
+    // Lê todos os pedidos salvos. Pedidos inválidos são descartados com um aviso no console;
+    // se o valor gravado inteiro for inutilizável (JSON cortado, não é uma lista), ele é apagado, como no CartStorage.
+    function loadOrders() {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (!raw) return [];
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+            if (!Array.isArray(data)) {
+                throw new Error('Invalid orders data');
+            }
+        } catch (error) {
+            console.warn('Orders: corrupted data discarded.', error);
+            localStorage.removeItem(STORAGE_KEY);
+            return [];
+        }
+
+        const orders = data.filter(isValidOrder).map(upgradeOrder);
+        if (orders.length < data.length) {
+            console.warn(`Orders: ${data.length - orders.length} invalid order(s) ignored.`);
+        }
+        return orders;
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Campos que as telas de pedidos usam. Pedidos antigos (sem currency) precisam dos valores em reais para a conversão.
+    function isValidOrder(order) {
+        if (!isObject(order) || typeof order.id !== 'string' || typeof order.createdAt !== 'string' ||
+            !isObject(order.customer) || !isObject(order.totals) || !Array.isArray(order.items) || !order.items.every(isObject)) {
+            return false;
+        }
+        if (order.currency) return true;
+        return Number.isFinite(Number(order.totals.price)) && order.items.every(item => Number.isFinite(Number(item.price)));
+    }
+
+    // Pedidos antigos, sem o campo currency, guardavam os valores em reais com ponto flutuante.
+    // Converte para o formato atual, em centavos.
+    function upgradeOrder(order) {
+        if (order.currency) return order;
+
+        const items = order.items.map(item => ({ ...item, unitPrice: Money.toCents(item.price) }));
+        const subtotal = Money.toCents(order.totals.price);
+        return {
+            ...order,
+            currency: 'BRL',
+            items,
+            totals: { quantity: order.totals.quantity, subtotal, discount: 0, shipping: 0, total: subtotal }
+        };
+    }
+
+    // Retorna os pedidos, do mais recente para o mais antigo.
+    function getOrders() {
+        return loadOrders().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Busca um pedido pelo id.
+    function getOrder(orderId) {
+        return loadOrders().find(order => order.id === orderId) || null;
+    }
+
+    // Salva um novo pedido.
+    function saveOrder(order) {
+        const orders = loadOrders();
+        orders.push(order);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+    }
+
+    // Altera campos de um pedido salvo (usado para o status dos pedidos feitos offline).
+    function updateOrder(orderId, changes) {
+        const orders = loadOrders().map(order => (order.id === orderId ? { ...order, ...changes } : order));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+    }
+
+    return {
+        getOrders,
+        getOrder,
+        saveOrder,
+        updateOrder
+    };
+})();
+
+
+const OrderQueue = (() => { // Fila dos pedidos feitos sem conexão. Eles são enviados (conferidos com o catálogo) quando a conexão volta.
+    const STORAGE_KEY = 'orderQueue';
+    const storage = StorageAdapters.localStorage;
+
+    // Status dos pedidos:
+    // - pending: feito offline, esperando a conexão;
+    // - confirmed: enviado (pedidos feitos online já nascem assim; pedidos antigos, sem status, também contam como confirmados);
+    // - unavailable: ao enviar, algum item tinha saído do catálogo ou passava do estoque.
+    const listeners = [];
+    let flushing = false;
+
+    // Ids dos pedidos na fila, do mais antigo para o mais novo.
+    function read() {
+        try {
+            const ids = JSON.parse(storage.get(STORAGE_KEY));
+            return Array.isArray(ids) ? ids : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function write(ids) {
+        if (ids.length > 0) {
+            storage.set(STORAGE_KEY, JSON.stringify(ids));
+        } else {
+            storage.remove(STORAGE_KEY);
+        }
+    }
+
+    // Registra um listener chamado com cada pedido enviado. Retorna a função que cancela o registro.
+    function subscribe(listener) {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    // Coloca um pedido (já salvo no OrderStore com status pending) na fila.
+    function enqueue(orderId) {
+        write([...read().filter(id => id !== orderId), orderId]);
+    }
+
+    // Quantidade de pedidos esperando a conexão.
+    function size() {
+        return read().length;
+    }
+
+    // Envia um pedido da fila: confere os itens com o catálogo atualizado e grava o status final.
+    function submit(orderId) {
+        const order = OrderStore.getOrder(orderId);
+        if (!order || order.status !== 'pending') return null;
+
+        const issues = Catalog.checkAvailability(order.items.map(item => ({ productId: item.id, quantity: item.quantity })));
+        const status = issues.length > 0 ? 'unavailable' : 'confirmed';
+        OrderStore.updateOrder(orderId, { status, submittedAt: new Date().toISOString() });
+        if (status === 'confirmed') {
+            Analytics.track('order_submit', {
+                orderId: order.id,
+                total: order.totals.total,
+                items: order.items.map(item => ({ productId: item.id, quantity: item.quantity, unitPrice: item.unitPrice }))
+            });
+        }
+        return { ...order, status };
+    }
+
+    // Envia os pedidos da fila. Sem conexão (ou se o catálogo não carregar) a fila fica para a próxima tentativa.
+    async function flush() {
+        if (flushing || !Connectivity.isOnline() || read().length === 0) return;
+
+        flushing = true;
+        try {
+            await Catalog.reload();
+            // Relê a fila a cada pedido: outra aba pode estar enviando a mesma fila.
+            let ids = read();
+            while (ids.length > 0) {
+                const [orderId] = ids;
+                write(ids.slice(1));
+                const order = submit(orderId);
+                if (order) {
+                    listeners.forEach(listener => listener(order));
+                }
+                ids = read();
+            }
+        } catch (error) {
+            console.error('Error sending queued orders:', error);
+        } finally {
+            flushing = false;
+        }
+    }
+
+    // Tenta enviar a fila ao abrir a página e sempre que a conexão voltar.
+    Connectivity.subscribe(online => {
+        if (online) {
+            flush();
+        }
+    });
+    flush();
+
+    return {
+        subscribe,
+        enqueue,
+        size,
+        flush
+    };
+})();
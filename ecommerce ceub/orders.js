@@ -0,0 +1,180 @@
+const OrdersUI = (() => { // Renderiza a lista de pedidos e os detalhes de um pedido. Os pedidos vêm do localStorage e são escapados.
+    const html = Html.template;
+
+    // Elementos DOM privados
+    const elements = {
+        list: document.querySelector('.orderList'),
+        detail: document.querySelector('.orderDetail')
+    };
+
+    // Formata a data do pedido
+    function formatDate(isoDate) {
+        return new Date(isoDate).toLocaleString(I18n.getLanguage());
+    }
+
+    // Nome do lugar de entrega no idioma atual
+    function formatLocation(location) {
+        const keys = { brasil: 'checkout.brazil', exterior: 'checkout.abroad' };
+        return keys[location] ? I18n.t(keys[location]) : location;
+    }
+
+    // Aviso dos pedidos feitos offline (pedidos confirmados não mostram nada)
+    function renderStatus(order) {
+        if (order.status !== 'pending' && order.status !== 'unavailable') return '';
+        return html`<span class="status ${order.status}">${I18n.t(`orders.status.${order.status}`)}</span>`;
+    }
+
+    // Renderiza a lista de pedidos. Cada pedido é um botão, para abrir os detalhes também pelo teclado
+    function renderList(orders, selectedId) {
+        elements.list.innerHTML = '';
+
+        if (orders.length === 0) {
+            Html.render(elements.list, html`
+                <p class="empty">${I18n.t('orders.empty')}</p>
+                <a href="index.html">${I18n.t('orders.browse')}</a>`);
+            return;
+        }
+
+        orders.forEach(order => {
+            const orderElement = document.createElement('button');
+            orderElement.type = 'button';
+            orderElement.classList.add('order');
+            orderElement.classList.toggle('selected', order.id === selectedId);
+            orderElement.setAttribute('aria-pressed', String(order.id === selectedId));
+            orderElement.setAttribute('data-id', order.id);
+            Html.render(orderElement, html`
+                <span class="orderId">${order.id}</span>
+                <span class="date">${formatDate(order.createdAt)}</span>
+                <span class="quantity">${I18n.plural('orders.items', order.totals.quantity)}</span>
+                <span class="price">${Money.format(order.totals.total)}</span>
+                ${renderStatus(order)}`);
+            elements.list.appendChild(orderElement);
+        });
+    }
+
+    // Renderiza os detalhes de um pedido
+    function renderDetail(order) {
+        if (!order) {
+            elements.detail.hidden = true;
+            return;
+        }
+
+        const items = order.items.map(item => html`
+            <div class="item">
+                <img src="${Html.url(item.image)}">
+                <div class="name">${item.name}</div>
+                <div class="price">${Money.format(item.unitPrice)}</div>
+                <div class="quantity">x${item.quantity}</div>
+                <div class="returnPrice">${Money.format(Money.multiply(item.unitPrice, item.quantity))}</div>
+            </div>`);
+
+        Html.render(elements.detail, html`
+            <h2>${I18n.t('orders.order', { id: order.id })}</h2>
+            <div class="date">${formatDate(order.createdAt)}</div>
+            ${renderStatus(order)}
+            <div class="customer">
+                <div>${order.customer.name}</div>
+                <div>${order.customer.email}</div>
+                <div>${order.customer.phone}</div>
+                <div>${formatLocation(order.customer.location)}</div>
+            </div>
+            <div class="list">${items}</div>
+            <div class="row">
+                <div>${I18n.t('checkout.totalQuantity')}</div>
+                <div>${order.totals.quantity}</div>
+            </div>
+            <div class="row">
+                <div>${I18n.t('checkout.subtotal')}</div>
+                <div>${Money.format(order.totals.subtotal)}</div>
+            </div>
+            <div class="row">
+                <div>${I18n.t('checkout.discount')}</div>
+                <div>- ${Money.format(order.totals.discount || 0)}</div>
+            </div>
+            <div class="row">
+                <div>${I18n.t('checkout.shipping')}</div>
+                <div>${order.totals.shipping ? Money.format(order.totals.shipping) : I18n.t('checkout.free')}</div>
+            </div>
+            <div class="row">
+                <div>${I18n.t('checkout.totalPrice')}</div>
+                <div>${Money.format(order.totals.total)}</div>
+            </div>
+            <button class="buyAgain" data-id="${order.id}">${I18n.t('orders.buyAgain')}</button>`);
+        elements.detail.hidden = false;
+    }
+
+    return {
+        renderList,
+        renderDetail
+    };
+})();
+
+
+const OrdersController = (() => { // Coordena a página de pedidos: seleção de um pedido e "comprar novamente".
+    let selectedId = null;
+
+    // Inicializa a página
+    function init() {
+        document.querySelector('.orderList').addEventListener('click', (e) => {
+            const orderElement = e.target.closest('.order');
+            if (orderElement) {
+                selectOrder(orderElement.getAttribute('data-id'));
+            }
+        });
+
+        document.querySelector('.orderDetail').addEventListener('click', (e) => {
+            if (e.target.classList.contains('buyAgain')) {
+                buyAgain(e.target.getAttribute('data-id'));
+            }
+        });
+
+        I18n.subscribe(render);
+        OrderQueue.subscribe(render);
+        render();
+    }
+
+    // Mostra os detalhes de um pedido. A lista é redesenhada, então o foco volta para o botão do pedido
+    function selectOrder(orderId) {
+        selectedId = orderId;
+        render();
+        const orderElement = [...document.querySelectorAll('.orderList .order')]
+            .find(element => element.getAttribute('data-id') === orderId);
+        if (orderElement) {
+            orderElement.focus();
+        }
+    }
+
+    // Atualiza a lista e o detalhe
+    function render() {
+        OrdersUI.renderList(OrderStore.getOrders(), selectedId);
+        OrdersUI.renderDetail(selectedId ? OrderStore.getOrder(selectedId) : null);
+    }
+
+    // Adiciona novamente ao carrinho os itens de um pedido. Um clique antes de o catálogo chegar espera por ele;
+    // os itens que saíram do catálogo são avisados (os limitados por estoque já têm o aviso do carrinho).
+    async function buyAgain(orderId) {
+        const order = OrderStore.getOrder(orderId);
+        if (!order) return;
+
+        if (!await CartManager.whenLoaded()) {
+            MessageUI.show(I18n.t(Connectivity.isOnline() ? 'catalog.loadError' : 'catalog.offlineError'));
+            return;
+        }
+
+        const unavailable = order.items.filter(item => !Catalog.getProduct(item.id));
+        order.items.forEach(item => {
+            CartManager.addToCart(item.id, item.quantity);
+        });
+        if (unavailable.length > 0) {
+            MessageUI.show(I18n.plural('orders.itemsUnavailable', unavailable.length));
+        }
+
+        CartUI.openCart();
+    }
+
+    return {
+        init
+    };
+})();
+
+OrdersController.init();
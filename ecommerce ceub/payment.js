@@ -0,0 +1,313 @@
+const Pix = (() => { // Pix "copia e cola": monta o BR Code (padrão EMV do Banco Central) com o valor do pedido.
+    // Dados do recebedor. A chave é a chave aleatória de exemplo do manual do BR Code; troque pela chave da loja.
+    const MERCHANT = {
+        key: '123e4567-e12b-12d1-a456-426655440000',
+        name: 'PELUCIAS FOFINHAS',
+        city: 'BRASILIA'
+    };
+
+    // Campo EMV: id (2 dígitos), tamanho do valor (2 dígitos) e o valor.
+    function field(id, value) {
+        if (value.length > 99) throw new Error(`Pix field ${id} is too long`);
+        return `${id}${String(value.length).padStart(2, '0')}${value}`;
+    }
+
+    // Textos do BR Code só aceitam ASCII: tira acentos e símbolos e corta no tamanho máximo do campo.
+    function toAscii(text, maxLength) {
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Za-z0-9 ]/g, '')
+            .trim()
+            .toUpperCase()
+            .slice(0, maxLength);
+    }
+
+    // CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF), em 4 dígitos hexadecimais maiúsculos.
+    function crc16(text) {
+        let crc = 0xFFFF;
+        for (let i = 0; i < text.length; i++) {
+            crc ^= text.charCodeAt(i) << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+                crc &= 0xFFFF;
+            }
+        }
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    // Monta o payload de um valor em centavos. O txid (identificador da cobrança) aceita só letras e números, até 25.
+    function buildPayload({ amount, txid }) {
+        const payload = [
+            field('00', '01'),
+            field('26', field('00', 'br.gov.bcb.pix') + field('01', MERCHANT.key)),
+            field('52', '0000'),
+            field('53', '986'),
+            field('54', (amount / 100).toFixed(2)),
+            field('58', 'BR'),
+            field('59', toAscii(MERCHANT.name, 25)),
+            field('60', toAscii(MERCHANT.city, 15)),
+            field('62', field('05', String(txid).replace(/[^A-Za-z0-9]/g, '').slice(0, 25) || '***')),
+            '6304'
+        ].join('');
+        return payload + crc16(payload);
+    }
+
+    // Confere o CRC de um payload (o app do banco recusa o código quando ele não bate).
+    function isValidPayload(payload) {
+        return /^.+6304[0-9A-F]{4}$/.test(payload) && crc16(payload.slice(0, -4)) === payload.slice(-4);
+    }
+
+    return {
+        buildPayload,
+        isValidPayload,
+        crc16
+    };
+})();
+
+
+const Boleto = (() => { // Boleto de mentira: código de barras e linha digitável no layout da FEBRABAN, com dígitos verificadores reais.
+    const BANK = '001';
+    const CURRENCY = '9';
+    // Convênio fictício da loja, na frente do nosso número no campo livre.
+    const AGREEMENT = '00000000';
+    const DAYS_TO_PAY = 3;
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Fator de vencimento: dias desde 07/10/1997. Depois do 9999 (21/02/2025) a contagem recomeça em 1000.
+    function dueFactor(dueDate) {
+        const days = Math.round((Date.UTC(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate()) - Date.UTC(1997, 9, 7)) / DAY);
+        return String(days > 9999 ? ((days - 10000) % 9000) + 1000 : days);
+    }
+
+    // Dígito verificador módulo 10 (pesos 2 e 1 da direita para a esquerda), usado nos campos da linha digitável.
+    function mod10(digits) {
+        const sum = [...digits].reverse().reduce((total, digit, i) => {
+            const product = Number(digit) * (i % 2 === 0 ? 2 : 1);
+            return total + Math.floor(product / 10) + (product % 10);
+        }, 0);
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    // Dígito verificador módulo 11 (pesos de 2 a 9) do código de barras. Resultados 0, 10 e 11 viram 1.
+    function mod11(digits) {
+        const sum = [...digits].reverse().reduce((total, digit, i) => total + Number(digit) * ((i % 8) + 2), 0);
+        const result = 11 - (sum % 11);
+        return String(result === 0 || result >= 10 ? 1 : result);
+    }
+
+    // Código de barras (44 dígitos): banco, moeda, DV, fator de vencimento, valor e campo livre (25 dígitos).
+    function buildBarcode({ factor, amount, freeField }) {
+        const value = String(amount).padStart(10, '0');
+        const withoutCheck = `${BANK}${CURRENCY}${factor}${value}${freeField}`;
+        return `${BANK}${CURRENCY}${mod11(withoutCheck)}${factor}${value}${freeField}`;
+    }
+
+    // Linha digitável (47 dígitos) do código de barras, no formato 00190.00009 00000.000000 00000.000000 0 00000000000000.
+    function toTypeableLine(barcode) {
+        const freeField = barcode.slice(19);
+        const first = `${barcode.slice(0, 4)}${freeField.slice(0, 5)}`;
+        const second = freeField.slice(5, 15);
+        const third = freeField.slice(15, 25);
+        const withCheck = part => part + mod10(part);
+        const format = part => `${part.slice(0, 5)}.${part.slice(5)}`;
+        return [
+            format(withCheck(first)),
+            format(withCheck(second)),
+            format(withCheck(third)),
+            barcode[4],
+            barcode.slice(5, 19)
+        ].join(' ');
+    }
+
+    // Gera o boleto de um valor em centavos. O nosso número (até 17 dígitos) identifica a cobrança.
+    // Retorna { barcode, line, dueDate }, com o vencimento em AAAA-MM-DD.
+    function create({ amount, ourNumber, date = new Date() }) {
+        const dueDate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + DAYS_TO_PAY);
+        const freeField = `${AGREEMENT}${String(ourNumber).replace(/\D/g, '').slice(-17).padStart(17, '0')}`;
+        const barcode = buildBarcode({ factor: dueFactor(dueDate), amount, freeField });
+        return {
+            barcode,
+            line: toTypeableLine(barcode),
+            dueDate: `${dueDate.getFullYear()}-${String(dueDate.getMonth() + 1).padStart(2, '0')}-${String(dueDate.getDate()).padStart(2, '0')}`
+        };
+    }
+
+    return {
+        create,
+        toTypeableLine
+    };
+})();
+
+
+const CardValidator = (() => { // Valida os dados do cartão antes da cobrança: número (Luhn e bandeira), validade, CVV e nome.
+    // Bandeiras aceitas: prefixos (faixas de números iniciais), tamanhos do número e do CVV.
+    // A Elo e a Hipercard vêm antes da Visa e da Mastercard porque parte dos prefixos delas começa igual.
+    const BRANDS = [
+        {
+            id: 'elo',
+            name: 'Elo',
+            prefixes: [[401178, 401179], [431274], [438935], [451416], [457393], [457631, 457632], [504175],
+                [506699, 506778], [509000, 509999], [627780], [636297], [636368], [650031, 650033], [650035, 650051],
+                [650405, 650439], [650485, 650538], [650541, 650598], [650700, 650718], [650720, 650727],
+                [650901, 650978], [651652, 651679], [655000, 655019], [655021, 655058]],
+            lengths: [16],
+            cvv: 3
+        },
+        { id: 'hipercard', name: 'Hipercard', prefixes: [[606282], [384100], [384140], [384160]], lengths: [16, 19], cvv: 3 },
+        { id: 'amex', name: 'American Express', prefixes: [[34], [37]], lengths: [15], cvv: 4 },
+        { id: 'visa', name: 'Visa', prefixes: [[4]], lengths: [13, 16, 19], cvv: 3 },
+        { id: 'mastercard', name: 'Mastercard', prefixes: [[51, 55], [2221, 2720]], lengths: [16], cvv: 3 }
+    ];
+    const MAX_YEARS_AHEAD = 20;
+
+    // Deixa só os dígitos.
+    function digitsOnly(value) {
+        return String(value || '').replace(/\D/g, '');
+    }
+
+    // Algoritmo de Luhn: dobra um dígito sim, um não, a partir do penúltimo da direita.
+    function isValidLuhn(number) {
+        if (!/^\d+$/.test(number)) return false;
+
+        const sum = [...number].reverse().reduce((total, digit, i) => {
+            let value = Number(digit);
+            if (i % 2 === 1) {
+                value *= 2;
+                if (value > 9) {
+                    value -= 9;
+                }
+            }
+            return total + value;
+        }, 0);
+        return sum % 10 === 0;
+    }
+
+    // Bandeira do cartão pelos primeiros dígitos, ou null se não for de uma bandeira aceita.
+    function detectBrand(value) {
+        const number = digitsOnly(value);
+        return BRANDS.find(brand => brand.prefixes.some(([start, end = start]) => {
+            const size = String(start).length;
+            if (number.length < size) return false;
+            const prefix = Number(number.slice(0, size));
+            return prefix >= start && prefix <= end;
+        })) || null;
+    }
+
+    // Validade no formato MM/AA. O cartão vale até o último dia do mês.
+    function parseExpiry(value) {
+        const match = /^(\d{2})\s*\/\s*(\d{2}|\d{4})$/.exec(String(value || '').trim());
+        if (!match) return null;
+
+        const month = Number(match[1]);
+        const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+        return month >= 1 && month <= 12 ? { month, year } : null;
+    }
+
+    // Regras de cada campo, no mesmo formato do CheckoutForm: retornam a mensagem de erro ou null.
+    const rules = {
+        numeroCartao: value => {
+            const number = digitsOnly(value);
+            if (!number) return I18n.t('payment.cardNumberRequired');
+            const brand = detectBrand(number);
+            if (!brand) return I18n.t('payment.cardBrandUnsupported');
+            if (!brand.lengths.includes(number.length) || !isValidLuhn(number)) return I18n.t('payment.cardNumberInvalid');
+            return null;
+        },
+        nomeCartao: value => {
+            if (!value) return I18n.t('payment.cardNameRequired');
+            return null;
+        },
+        validadeCartao: (value, values, now) => {
+            if (!value) return I18n.t('payment.cardExpiryRequired');
+            const expiry = parseExpiry(value);
+            if (!expiry) return I18n.t('payment.cardExpiryInvalid');
+            const months = expiry.year * 12 + expiry.month - (now.getFullYear() * 12 + now.getMonth() + 1);
+            if (months < 0) return I18n.t('payment.cardExpired');
+            if (months > MAX_YEARS_AHEAD * 12) return I18n.t('payment.cardExpiryInvalid');
+            return null;
+        },
+        cvvCartao: (value, values) => {
+            if (!value) return I18n.t('payment.cardCvvRequired');
+            const brand = detectBrand(values.numeroCartao);
+            const size = brand ? brand.cvv : 3;
+            if (!new RegExp(`^\\d{${size}}$`).test(value)) return I18n.t('payment.cardCvvInvalid', { size });
+            return null;
+        }
+    };
+
+    // Valida os dados do cartão ({ numeroCartao, nomeCartao, validadeCartao, cvvCartao }).
+    // Retorna um objeto { campo: mensagem } apenas com os campos inválidos.
+    function validate(values, now = new Date()) {
+        return Object.keys(rules).reduce((errors, field) => {
+            const message = rules[field](values[field], values, now);
+            if (message) {
+                errors[field] = message;
+            }
+            return errors;
+        }, {});
+    }
+
+    return {
+        fields: Object.keys(rules),
+        digitsOnly,
+        isValidLuhn,
+        detectBrand,
+        validate
+    };
+})();
+
+
+const PaymentProcessor = (() => { // Processador de pagamentos de mentira, que roda no navegador. Tem a mesma cara de um gateway
+    // (cobrança assíncrona com id de transação), para a troca por um gateway de verdade mexer só aqui.
+    // Cartões de teste: 4000000000000002 é sempre recusado; qualquer outro cartão válido é aprovado.
+    const DECLINED_CARDS = ['4000000000000002'];
+    const DELAY = 600;
+
+    // Id da transação, como o que o gateway devolveria.
+    function generateTransactionId() {
+        return `TX${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+    }
+
+    // Espera um pouco, como numa chamada de rede.
+    function wait() {
+        return new Promise(resolve => setTimeout(resolve, DELAY));
+    }
+
+    // Cobra um pedido: { method: 'pix' | 'boleto' | 'card', amount (centavos), orderId, card }.
+    // Retorna o pagamento que fica guardado no pedido: { method, status, transactionId, ... }. Do cartão só guarda
+    // a bandeira e os quatro últimos dígitos. Pix e boleto ficam pending até o cliente pagar; cartão é approved ou declined.
+    async function charge({ method, amount, orderId, card }) {
+        await wait();
+        const transactionId = generateTransactionId();
+
+        if (method === 'pix') {
+            return { method, status: 'pending', transactionId, pixPayload: Pix.buildPayload({ amount, txid: orderId }) };
+        }
+
+        if (method === 'boleto') {
+            const boleto = Boleto.create({ amount, ourNumber: Date.now() });
+            return { method, status: 'pending', transactionId, boletoLine: boleto.line, dueDate: boleto.dueDate };
+        }
+
+        if (method === 'card') {
+            const number = CardValidator.digitsOnly(card.numeroCartao);
+            const brand = CardValidator.detectBrand(number);
+            if (Object.keys(CardValidator.validate(card)).length > 0) throw new Error('Invalid card data');
+
+            return {
+                method,
+                status: DECLINED_CARDS.includes(number) ? 'declined' : 'approved',
+                transactionId,
+                brand: brand.name,
+                last4: number.slice(-4)
+            };
+        }
+
+        throw new Error(`Unknown payment method: ${method}`);
+    }
+
+    return {
+        charge
+    };
+})();
@@ -0,0 +1,117 @@
+const Promotions = (() => { // Motor de promoções. As regras ficam em promotions.json (valores em reais, como no product.json).
+    // Tipos de regra:
+    // - percentage: desconto de `value`% sobre o subtotal;
+    // - fixed: desconto de `value` reais, limitado ao subtotal;
+    // - buyXGetY: a cada `buy` unidades de um dos `productIds`, `get` unidades saem de graça.
+    // Regras com `code` só valem com o cupom; as outras são automáticas. Condições opcionais:
+    // `minSubtotal` (valor mínimo do carrinho), `startsAt` e `expiresAt` (datas ISO).
+    // A descrição pode ser traduzida em `translations`, como nos produtos.
+    let rules = null;
+    let loading = null;
+
+    // Carrega as regras uma única vez. Se falhar, a próxima chamada tenta de novo.
+    function load() {
+        if (!loading) {
+            const request = loading = fetch('promotions.json')
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load promotions.json (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    rules = data.rules;
+                })
+                .catch(error => {
+                    if (loading === request) {
+                        loading = null;
+                    }
+                    throw error;
+                });
+        }
+        return loading;
+    }
+
+    // As regras já foram carregadas?
+    function isLoaded() {
+        return rules !== null;
+    }
+
+    // Padroniza o código digitado pelo cliente.
+    function normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    // Desconto de uma regra sobre os itens (com unitPrice em centavos) e o subtotal já descontado.
+    const calculators = {
+        percentage: (rule, items, subtotal) => Math.round(subtotal * rule.value / 100),
+        fixed: (rule, items, subtotal) => Math.min(Money.toCents(rule.value), subtotal),
+        buyXGetY: (rule, items) => Money.sum(items
+            .filter(item => rule.productIds.includes(item.id))
+            .map(item => {
+                const freeUnits = Math.floor(item.quantity / (rule.buy + rule.get)) * rule.get;
+                return Money.multiply(item.unitPrice, freeUnits);
+            }))
+    };
+
+    // Verifica se uma regra pode ser usada. Retorna o motivo quando não pode, ou null.
+    function getIneligibilityReason(rule, items, subtotal, now) {
+        if (rule.startsAt && now < new Date(rule.startsAt)) return I18n.t('coupon.notStarted');
+        if (rule.expiresAt && now > new Date(rule.expiresAt)) return I18n.t('coupon.expired');
+        if (rule.minSubtotal && subtotal < Money.toCents(rule.minSubtotal)) {
+            return I18n.t('coupon.minSubtotal', { amount: Money.format(Money.toCents(rule.minSubtotal)) });
+        }
+        if (calculators[rule.type](rule, items, subtotal) === 0) return I18n.t('coupon.notApplicable');
+        return null;
+    }
+
+    // Confere um cupom para o carrinho atual. Retorna { valid, reason }.
+    function validateCoupon(code, items, subtotal, now = new Date()) {
+        const normalized = normalizeCode(code);
+        if (!normalized) return { valid: false, reason: I18n.t('coupon.required') };
+        if (!isLoaded()) return { valid: false, reason: I18n.t('coupon.unavailable') };
+
+        const rule = rules.find(candidate => candidate.code === normalized);
+        if (!rule) return { valid: false, reason: I18n.t('coupon.notFound') };
+
+        const reason = getIneligibilityReason(rule, items, subtotal, now);
+        return reason ? { valid: false, reason } : { valid: true, reason: null };
+    }
+
+    // Aplica as promoções automáticas e o cupom (se houver) ao carrinho.
+    // As regras por produto (buyXGetY) vêm antes das regras sobre o valor, que incidem sobre o que sobrou.
+    // Retorna { discount, applied: [{ description, amount }], couponError, unavailable }; unavailable indica
+    // que as regras não carregaram (e o desconto saiu zerado).
+    function apply(items, subtotal, couponCode, now = new Date()) {
+        const code = normalizeCode(couponCode);
+        const coupon = code ? validateCoupon(code, items, subtotal, now) : { valid: false, reason: null };
+        const activeRules = (rules || [])
+            .filter(rule => (rule.code ? coupon.valid && rule.code === code : !getIneligibilityReason(rule, items, subtotal, now)))
+            .sort((a, b) => (a.type === 'buyXGetY' ? 0 : 1) - (b.type === 'buyXGetY' ? 0 : 1));
+
+        let remaining = subtotal;
+        const applied = [];
+        activeRules.forEach(rule => {
+            const amount = Math.min(calculators[rule.type](rule, items, remaining), remaining);
+            if (amount > 0) {
+                remaining -= amount;
+                applied.push({ description: I18n.localize(rule).description, amount });
+            }
+        });
+
+        return {
+            discount: subtotal - remaining,
+            applied,
+            couponError: code && !coupon.valid ? coupon.reason : null,
+            unavailable: !isLoaded()
+        };
+    }
+
+    return {
+        load,
+        isLoaded,
+        normalizeCode,
+        validateCoupon,
+        apply
+    };
+})();
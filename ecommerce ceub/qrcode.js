@@ -0,0 +1,387 @@
+const QrCode = (() => { // Gera QR Codes (modo byte, correção de erros nível M) sem bibliotecas externas. Usado pelo Pix no checkout.
+    // Tabelas da norma (ISO/IEC 18004) para o nível M, por versão (o índice 0 não é usado):
+    // bytes de correção por bloco e quantidade de blocos.
+    const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+        26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+    const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+    const FORMAT_BITS_M = 0;
+    const MAX_VERSION = 40;
+
+    function getBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    // Multiplicação no corpo finito GF(2^8) usado pelo Reed-Solomon.
+    function multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    // Polinômio gerador do Reed-Solomon com `degree` bytes de correção.
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    // Bytes de correção de um bloco de dados.
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Quantidade de módulos que sobram para dados e correção numa versão (tirando os padrões fixos).
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+    }
+
+    // Posições (linha e coluna) dos padrões de alinhamento.
+    function getAlignmentPositions(version, size) {
+        if (version === 1) return [];
+
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    // Menor versão em que os bytes cabem. Lança um erro se o texto for grande demais.
+    function chooseVersion(length) {
+        for (let version = 1; version <= MAX_VERSION; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + length * 8 <= getNumDataCodewords(version) * 8) return version;
+        }
+        throw new Error('Text too long for a QR code');
+    }
+
+    // Bits de dados: modo byte, tamanho, os bytes, terminador e bytes de preenchimento.
+    function encodeData(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push(getBit(value, i) ? 1 : 0);
+            }
+        };
+        const capacity = getNumDataCodewords(version) * 8;
+
+        append(0b0100, 4);
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    // Divide os dados em blocos, calcula a correção de cada um e intercala tudo na ordem da norma.
+    function addErrorCorrection(data, version) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    // Matriz do símbolo: módulos escuros (true) ou claros, e quais são de padrões fixos (não recebem dados nem máscara).
+    function createMatrix(version) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+        return { version, size, modules, isFunction, set };
+    }
+
+    // Padrões fixos: localizadores, sincronismo, alinhamento, área do formato e informação de versão.
+    function drawFunctionPatterns(matrix) {
+        const { version, size, set } = matrix;
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                        set(x + dx, y + dy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = getAlignmentPositions(version, size);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                // Os cantos já são ocupados pelos localizadores
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        drawFormatBits(matrix, 0);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                set(a, b, getBit(bits, i));
+                set(b, a, getBit(bits, i));
+            }
+        }
+    }
+
+    // Grava o nível de correção e a máscara nas duas cópias da área de formato.
+    function drawFormatBits(matrix, mask) {
+        const { size, set } = matrix;
+        const data = (FORMAT_BITS_M << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) {
+            set(8, i, getBit(bits, i));
+        }
+        set(8, 7, getBit(bits, 6));
+        set(8, 8, getBit(bits, 7));
+        set(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            set(14 - i, 8, getBit(bits, i));
+        }
+        for (let i = 0; i < 8; i++) {
+            set(size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            set(8, size - 15 + i, getBit(bits, i));
+        }
+        set(8, size - 8, true);
+    }
+
+    // Distribui os bits em zigue-zague, de duas em duas colunas, da direita para a esquerda.
+    function drawCodewords(matrix, codewords) {
+        const { size, modules, isFunction } = matrix;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5;
+            }
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // As oito máscaras da norma. Aplicar a mesma máscara duas vezes desfaz a primeira.
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+        (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+        (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+    ];
+
+    function applyMask(matrix, mask) {
+        const { size, modules, isFunction } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Penalidade de uma máscara (regras N1 a N4 da norma): quanto menor, mais fácil de ler.
+    function getPenalty(matrix) {
+        const { size, modules } = matrix;
+        const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+        let penalty = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+        lines.forEach(line => {
+            // N1: cinco ou mais módulos seguidos da mesma cor
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) {
+                        penalty += run - 2;
+                    }
+                    run = 1;
+                }
+            }
+            // N3: padrões parecidos com o localizador (1:1:3:1:1 com quatro módulos claros de um lado)
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((bit, k) => line[i + k] === (bit === 1)))) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const color = modules[y][x];
+                if (color) {
+                    dark++;
+                }
+                // N2: blocos 2x2 da mesma cor
+                if (x < size - 1 && y < size - 1 && color === modules[y][x + 1] &&
+                    color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // N4: proporção de módulos escuros longe de 50%
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    // Gera a matriz do QR Code de um texto (UTF-8). Retorna uma lista de linhas, com true nos módulos escuros.
+    function encode(text) {
+        const bytes = [...new TextEncoder().encode(text)];
+        const version = chooseVersion(bytes.length);
+        const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+        const matrix = createMatrix(version);
+        drawFunctionPatterns(matrix);
+        drawCodewords(matrix, codewords);
+
+        // Escolhe a máscara com a menor penalidade
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        MASKS.forEach((_, mask) => {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, mask);
+            const penalty = getPenalty(matrix);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            applyMask(matrix, mask);
+        });
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, bestMask);
+        return matrix.modules;
+    }
+
+    // Desenha o QR Code como SVG, com a margem de quatro módulos exigida pela norma.
+    function toSvg(text, { label = '' } = {}) {
+        const modules = encode(text);
+        const size = modules.length + 8;
+        const path = modules
+            .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + 4} ${y + 4}h1v1h-1z` : '')))
+            .join('');
+        return Html.template`
+            <svg class="qrCode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges">
+                <rect width="100%" height="100%" fill="#fff"/>
+                <path d="${path}" fill="#000"/>
+            </svg>`;
+    }
+
+    return {
+        encode,
+        toSvg
+    };
+})();
@@ -0,0 +1,86 @@
+const Shipping = (() => { // Cálculo do frete a partir da tabela local shipping.json (valores em reais, como no product.json).
+    let rates = null;
+    let loading = null;
+
+    // Carrega a tabela de frete uma única vez. Se falhar, a próxima chamada tenta de novo.
+    function load() {
+        if (!loading) {
+            const request = loading = fetch('shipping.json')
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load shipping.json (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    rates = data;
+                })
+                .catch(error => {
+                    if (loading === request) {
+                        loading = null;
+                    }
+                    throw error;
+                });
+        }
+        return loading;
+    }
+
+    // A tabela de frete já foi carregada?
+    function isLoaded() {
+        return rates !== null;
+    }
+
+    // Deixa só os dígitos do CEP. Retorna null se não tiver 8 dígitos.
+    function normalizeCep(value) {
+        const digits = String(value || '').replace(/\D/g, '');
+        return digits.length === 8 ? digits : null;
+    }
+
+    // Busca a região de um CEP na tabela.
+    function findRegion(cep) {
+        const digits = normalizeCep(cep);
+        if (!digits || !rates) return null;
+
+        return rates.brasil.regions.find(region =>
+            region.cepRanges.some(([start, end]) => digits >= start && digits <= end)) || null;
+    }
+
+    // Nome da região (traduzido) com o prazo de entrega.
+    function getLabel(rate) {
+        const { name, minDays, maxDays } = I18n.localize(rate);
+        return I18n.t('shipping.label', { name, min: minDays, max: maxDays });
+    }
+
+    // Calcula o frete de um destino ({ location, cep }) para um subtotal em centavos.
+    // Retorna { price, label, error }: price é null enquanto o frete não puder ser calculado.
+    function quote(destination, subtotal) {
+        if (!rates) return { price: null, label: '', error: I18n.t('shipping.unavailable') };
+
+        if (destination.location === 'exterior') {
+            return { price: Money.toCents(rates.exterior.price), label: getLabel(rates.exterior), error: null };
+        }
+
+        if (destination.location === 'brasil') {
+            if (!normalizeCep(destination.cep)) return { price: null, label: '', error: I18n.t('shipping.cepInvalid') };
+
+            const region = findRegion(destination.cep);
+            if (!region) return { price: null, label: '', error: I18n.t('shipping.cepNotServed') };
+
+            const label = getLabel(region);
+            if (subtotal >= Money.toCents(rates.brasil.freeShippingThreshold)) {
+                return { price: 0, label, error: null };
+            }
+            return { price: Money.toCents(region.price), label, error: null };
+        }
+
+        return { price: null, label: '', error: I18n.t('shipping.chooseLocation') };
+    }
+
+    return {
+        load,
+        isLoaded,
+        normalizeCep,
+        findRegion,
+        quote
+    };
+})();
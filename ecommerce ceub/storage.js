@@ -0,0 +1,177 @@
+const StorageAdapters = (() => { // Adaptadores de armazenamento com a mesma interface: get, set e remove de strings.
+    // Cookie. O TTL vira o max-age do cookie.
+    const cookie = {
+        get(key) {
+            const row = document.cookie
+                .split('; ')
+                .find(row => row.startsWith(`${key}=`));
+            return row ? decodeURIComponent(row.slice(key.length + 1)) : null;
+        },
+        set(key, value, ttl) {
+            const maxAge = Math.floor(ttl / 1000);
+            document.cookie = `${key}=${encodeURIComponent(value)}; max-age=${maxAge}; path=/;`;
+        },
+        remove(key) {
+            document.cookie = `${key}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;`;
+        }
+    };
+
+    // Web Storage (localStorage ou sessionStorage). A expiração fica a cargo de quem grava.
+    function webStorage(getStorage) {
+        return {
+            get: key => getStorage().getItem(key),
+            set: (key, value) => getStorage().setItem(key, value),
+            remove: key => getStorage().removeItem(key)
+        };
+    }
+
+    return {
+        cookie,
+        localStorage: webStorage(() => window.localStorage),
+        sessionStorage: webStorage(() => window.sessionStorage)
+    };
+})();
+
+
+const CartStorage = (() => { // Persiste o carrinho no adaptador configurado, com validade e esquema versionado.
+    const CART_KEY = 'listCart';
+    const SCHEMA_VERSION = 2;
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Configuração padrão. Pode ser alterada com configure() antes de carregar o carrinho.
+    const config = {
+        adapter: 'localStorage',
+        ttl: 30 * DAY
+    };
+
+    // Atualizações de esquema. Cada função recebe os dados de uma versão e devolve os da versão seguinte.
+    // A versão 0 é o formato antigo: o array do carrinho gravado direto no cookie.
+    // A versão 1 guardava uma cópia do produto inteiro por posição; a 2 guarda só { productId, quantity }.
+    const upgrades = {
+        0: items => ({ version: 1, expiresAt: Date.now() + config.ttl, items }),
+        1: data => ({
+            version: 2,
+            expiresAt: data.expiresAt,
+            items: data.items
+                .filter(product => product && product.quantity > 0)
+                .map(product => ({ productId: Number(product.id), quantity: Math.floor(product.quantity) }))
+        })
+    };
+
+    // Altera o adaptador e/ou o TTL.
+    function configure(options) {
+        if (options.adapter && !StorageAdapters[options.adapter]) {
+            throw new Error(`Unknown storage adapter: ${options.adapter}`);
+        }
+        Object.assign(config, options);
+    }
+
+    function getAdapter() {
+        return StorageAdapters[config.adapter];
+    }
+
+    // Leva os dados gravados até a versão atual do esquema.
+    // Lança um erro para dados que não são de nenhuma versão conhecida (inclusive de uma versão mais nova).
+    function upgrade(data) {
+        let version = Array.isArray(data) ? 0 : data && data.version;
+        if (!Number.isInteger(version) || version < 0 || version > SCHEMA_VERSION) {
+            throw new Error(`Unknown cart schema version: ${version}`);
+        }
+        while (version < SCHEMA_VERSION) {
+            data = upgrades[version](data);
+            version = data.version;
+        }
+        return data;
+    }
+
+    // Lê e valida o JSON gravado. Itens inválidos são descartados com um aviso no console;
+    // se o carrinho inteiro for inutilizável (JSON cortado, formato desconhecido), lança um erro.
+    function parse(raw) {
+        const data = upgrade(JSON.parse(raw));
+        if (!Array.isArray(data.items) || typeof data.expiresAt !== 'number') {
+            throw new Error('Invalid cart data');
+        }
+
+        const items = data.items.filter(item => item && Number.isInteger(item.productId) && item.productId > 0 &&
+            Number.isInteger(item.quantity) && item.quantity > 0);
+        if (items.length < data.items.length) {
+            console.warn(`Cart: ${data.items.length - items.length} invalid item(s) ignored.`);
+        }
+        return { ...data, items };
+    }
+
+    // Migração única: carrinhos antigos ficavam em um cookie listCart com o JSON cru.
+    // O cookie é removido e, se o adaptador atual ainda não tem carrinho, os itens passam para ele.
+    // Um cookie antigo corrompido é só removido.
+    function migrateLegacyCookie() {
+        let raw;
+        try {
+            raw = StorageAdapters.cookie.get(CART_KEY);
+        } catch (error) {
+            console.warn('Cart: unreadable cookie discarded.', error);
+            StorageAdapters.cookie.remove(CART_KEY);
+            return;
+        }
+        if (!raw || !raw.startsWith('[')) return;
+
+        StorageAdapters.cookie.remove(CART_KEY);
+        try {
+            const data = parse(raw);
+            if (config.adapter === 'cookie' || getAdapter().get(CART_KEY) === null) {
+                write(data.items);
+            }
+        } catch (error) {
+            console.warn('Cart: corrupted legacy cookie discarded.', error);
+        }
+    }
+
+    // Grava os itens, renovando a validade.
+    function write(items) {
+        const data = {
+            version: SCHEMA_VERSION,
+            expiresAt: Date.now() + config.ttl,
+            items
+        };
+        getAdapter().set(CART_KEY, JSON.stringify(data), config.ttl);
+    }
+
+    // Carrega os itens do carrinho. Carrinhos vencidos são descartados, e carrinhos corrompidos também,
+    // para que um dado ruim não quebre a página: o cliente perde o carrinho, mas a loja continua funcionando.
+    function load() {
+        migrateLegacyCookie();
+
+        let data;
+        try {
+            const raw = getAdapter().get(CART_KEY);
+            if (!raw) return [];
+            data = parse(raw);
+        } catch (error) {
+            console.warn('Cart: corrupted cart data discarded.', error);
+            clear();
+            return [];
+        }
+
+        if (data.expiresAt < Date.now()) {
+            clear();
+            return [];
+        }
+        return data.items;
+    }
+
+    // Salva os itens do carrinho.
+    function save(items) {
+        write(items);
+    }
+
+    // Remove o carrinho.
+    function clear() {
+        getAdapter().remove(CART_KEY);
+    }
+
+    return {
+        configure,
+        load,
+        save,
+        clear
+    };
+})();
@@ -0,0 +1,115 @@
+// Service worker da loja: guarda as páginas, os scripts, o catálogo e as imagens no cache para a loja abrir sem conexão.
+// Ao publicar uma nova versão dos arquivos, aumente CACHE_VERSION para que os clientes baixem tudo de novo.
+const CACHE_VERSION = 5;
+const CACHE_NAME = `loja-v${CACHE_VERSION}`;
+const CATALOG_URL = 'product.json';
+// Dados que mudam sem nova versão dos arquivos: não podem ficar presos no cache.
+const DATA_URLS = [CATALOG_URL, 'shipping.json', 'promotions.json'];
+
+// Arquivos guardados na instalação. As imagens dos produtos são lidas do próprio product.json.
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'checkout.html',
+    'orders.html',
+    'style.css',
+    'print.css',
+    'messages.js',
+    'i18n.js',
+    'html.js',
+    'money.js',
+    'storage.js',
+    'analytics.js',
+    'offline.js',
+    'catalogSchema.js',
+    'catalog.js',
+    'cartSync.js',
+    'cart.js',
+    'cartShare.js',
+    'wishlist.js',
+    'shipping.js',
+    'promotions.js',
+    'orderStore.js',
+    'qrcode.js',
+    'payment.js',
+    'app.js',
+    'checkout.js',
+    'orders.js',
+    ...DATA_URLS,
+    'images/icon.png'
+];
+
+// Imagens dos produtos do catálogo (as enviadas como data URL já estão dentro do product.json).
+async function getCatalogImages(cache) {
+    const response = await cache.match(CATALOG_URL);
+    const products = await response.json();
+    return [...new Set(products.flatMap(product => [product.image, ...(product.images || [])]))]
+        .filter(image => typeof image === 'string' && !image.startsWith('data:'));
+}
+
+// Instala: guarda os arquivos da loja e as imagens dos produtos.
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(PRECACHE_URLS);
+        await cache.addAll(await getCatalogImages(cache));
+        await self.skipWaiting();
+    })());
+});
+
+// Ativa: apaga os caches de versões anteriores.
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Busca na rede e atualiza o cache com a resposta.
+async function fetchAndCache(request, cacheKey = request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(cacheKey, response.clone());
+    }
+    return response;
+}
+
+// Catálogo, fretes e promoções: stale-while-revalidate. Responde na hora com o que está no cache e atualiza o cache em segundo plano.
+// Quando a página pede dados novos (Catalog.reload, com cache: 'no-cache'), vai primeiro à rede e só usa o cache sem conexão.
+async function dataResponse(event, dataUrl) {
+    const { request } = event;
+    const cacheKey = new URL(dataUrl, self.registration.scope).href;
+    const cached = await caches.match(cacheKey);
+    const network = fetchAndCache(request, cacheKey);
+
+    if (request.cache === 'no-cache' || !cached) {
+        return network.catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+    }
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+}
+
+// Demais arquivos (versionados por CACHE_VERSION): cache primeiro, rede depois (e o que vier da rede também vai para o cache).
+// Páginas ignoram a query string e o hash (index.html#/produto/2 é a mesma página).
+async function cachedResponse(request) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    return cached || fetchAndCache(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const dataUrl = DATA_URLS.find(file => url.pathname.endsWith(`/${file}`));
+    if (dataUrl) {
+        event.respondWith(dataResponse(event, dataUrl));
+    } else {
+        event.respondWith(cachedResponse(request));
+    }
+});
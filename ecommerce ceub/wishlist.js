@@ -0,0 +1,123 @@
+const Wishlist = (() => { // Lista de desejos (favoritos). Guarda só os ids dos produtos; os dados vêm sempre do Catalog.
+    const STORAGE_KEY = 'wishlist';
+    const SCHEMA_VERSION = 1;
+    const storage = StorageAdapters.localStorage;
+
+    let productIds = [];
+    const listeners = [];
+
+    // Eventos enviados aos listeners, sempre com o tipo e os produtos atuais (já traduzidos):
+    // - load: lista carregada; `removed` traz os ids que saíram do catálogo e foram descartados;
+    // - add, remove: um produto entrou ou saiu da lista, com `productId`;
+    // - sync: a lista foi alterada em outra aba.
+    function emit(event) {
+        const payload = { ...event, items: getItems() };
+        listeners.forEach(listener => listener(payload));
+    }
+
+    // Registra um listener para as mudanças da lista. Retorna a função que cancela o registro.
+    function subscribe(listener) {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    // Lê os ids salvos. Dados em formato desconhecido são ignorados.
+    function read() {
+        const raw = storage.get(STORAGE_KEY);
+        if (!raw) return [];
+
+        try {
+            const data = JSON.parse(raw);
+            return data.version === SCHEMA_VERSION && Array.isArray(data.productIds)
+                ? data.productIds.map(Number).filter(Number.isInteger)
+                : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Grava os ids. A lista não expira: ela fica salva entre as visitas.
+    function write() {
+        storage.set(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, productIds }));
+    }
+
+    // Carrega a lista salva. Deve ser chamado depois do Catalog.load(), para descartar produtos que saíram do catálogo.
+    function load() {
+        const saved = read();
+        productIds = saved.filter(productId => Catalog.getProduct(productId));
+        const removed = saved.filter(productId => !productIds.includes(productId));
+        if (removed.length > 0) {
+            write();
+        }
+        emit({ type: 'load', removed });
+    }
+
+    // Aplica uma alteração sobre a lista salva mais recente (outra aba pode tê-la alterado) e avisa os listeners.
+    function update(change) {
+        productIds = read();
+        const event = change();
+        if (!event) return false;
+
+        write();
+        emit(event);
+        return true;
+    }
+
+    // Produto está na lista?
+    function has(productId) {
+        return productIds.includes(Number(productId));
+    }
+
+    // Adiciona um produto. Retorna se a lista mudou.
+    function add(productId) {
+        if (!Catalog.getProduct(productId)) return false;
+
+        return update(() => {
+            if (has(productId)) return null;
+            productIds.push(Number(productId));
+            return { type: 'add', productId: Number(productId) };
+        });
+    }
+
+    // Remove um produto. Retorna se a lista mudou.
+    function remove(productId) {
+        return update(() => {
+            if (!has(productId)) return null;
+            productIds = productIds.filter(id => id !== Number(productId));
+            return { type: 'remove', productId: Number(productId) };
+        });
+    }
+
+    // Adiciona ou remove um produto (botão de coração).
+    function toggle(productId) {
+        return has(productId) ? remove(productId) : add(productId);
+    }
+
+    // Produtos da lista com os dados atuais do catálogo, na ordem em que foram salvos.
+    function getItems() {
+        return productIds.map(Catalog.getProduct).filter(Boolean);
+    }
+
+    // Recarrega a lista quando outra aba a altera.
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) {
+            productIds = read();
+            emit({ type: 'sync' });
+        }
+    });
+
+    return {
+        subscribe,
+        load,
+        has,
+        add,
+        remove,
+        toggle,
+        getItems
+    };
+})();